@@ -0,0 +1,134 @@
+// adaptive-quality.js - Live Bitrate / Frame-Rate Adaptation While Recording
+
+const SAMPLE_INTERVAL = 500; // ms
+const SMOOTHING = 0.3; // Weight of the newest render FPS sample
+const DOWNGRADE_SAMPLES = 4; // 2 s of sustained pressure before stepping down
+const UPGRADE_SAMPLES = 20; // 10 s of headroom before stepping back up
+const MIN_FPS = 10;
+
+export class AdaptiveQualityController {
+    /**
+     * @param {Object} source - { getRenderFPS(), getDroppedFrames(), isPaused() }
+     */
+    constructor(source) {
+        this.source = source;
+        this.onAdjust = null; // Called with ({ fps, bitrate }, details) when the level changes
+        this.levels = [];
+        this.levelIndex = 0;
+        this.smoothedFPS = 0;
+        this.lastDropped = 0;
+        this.pressureSamples = 0;
+        this.headroomSamples = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Build a quality ladder below the starting encoding
+     * Bitrate is trimmed first; frame rate only drops when that is not enough.
+     * @param {Object} encoding - { fps, bitrate } the recording started with
+     */
+    static buildLevels({ fps, bitrate }) {
+        const round = (value) => Math.round(value / 100000) * 100000;
+        const levels = [
+            { fps, bitrate },
+            { fps, bitrate: round(bitrate * 0.7) }
+        ];
+
+        for (const reduced of [Math.round(fps * 2 / 3), Math.round(fps / 2)]) {
+            if (reduced >= MIN_FPS && reduced < levels[levels.length - 1].fps) {
+                levels.push({ fps: reduced, bitrate: round(bitrate * 0.7 * reduced / fps) });
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Start watching performance for a new recording
+     * @param {Object} encoding - { fps, bitrate }
+     */
+    start(encoding) {
+        this.stop();
+
+        this.levels = AdaptiveQualityController.buildLevels(encoding);
+        this.levelIndex = 0;
+        this.smoothedFPS = this.source.getRenderFPS();
+        this.lastDropped = this.source.getDroppedFrames();
+        this.pressureSamples = 0;
+        this.headroomSamples = 0;
+        this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+
+        console.log(`Adaptive quality: ${this.levels.map(l => `${l.fps}fps/${(l.bitrate / 1000000).toFixed(1)}M`).join(' → ')}`);
+    }
+
+    /**
+     * Check if the controller is running
+     */
+    isActive() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Take one performance sample and step the level if needed
+     */
+    sample() {
+        if (this.source.isPaused()) return;
+
+        this.smoothedFPS += (this.source.getRenderFPS() - this.smoothedFPS) * SMOOTHING;
+
+        const dropped = this.source.getDroppedFrames();
+        const newDrops = dropped - this.lastDropped;
+        this.lastDropped = dropped;
+
+        const level = this.levels[this.levelIndex];
+        const underPressure = this.smoothedFPS < level.fps * 0.9 || newDrops > 0;
+
+        if (underPressure) {
+            this.headroomSamples = 0;
+            this.pressureSamples++;
+
+            if (this.pressureSamples >= DOWNGRADE_SAMPLES && this.levelIndex < this.levels.length - 1) {
+                this.setLevel(this.levelIndex + 1, newDrops > 0 ? 'encoder-backlog' : 'render-fps');
+            }
+            return;
+        }
+
+        this.pressureSamples = 0;
+
+        // Only climb back when the renderer clearly outpaces the higher level
+        const higher = this.levels[this.levelIndex - 1];
+        if (higher && this.smoothedFPS >= higher.fps * 1.1) {
+            this.headroomSamples++;
+
+            if (this.headroomSamples >= UPGRADE_SAMPLES) {
+                this.setLevel(this.levelIndex - 1, 'recovered');
+            }
+        } else {
+            this.headroomSamples = 0;
+        }
+    }
+
+    /**
+     * Switch to a ladder level and notify
+     */
+    setLevel(index, reason) {
+        this.levelIndex = index;
+        this.pressureSamples = 0;
+        this.headroomSamples = 0;
+
+        const level = this.levels[index];
+        console.log(`Adaptive quality: ${level.fps} FPS @ ${(level.bitrate / 1000000).toFixed(1)} Mbps (${reason}, render ${Math.round(this.smoothedFPS)} FPS)`);
+
+        if (this.onAdjust) {
+            this.onAdjust(level, { reason, renderFPS: Math.round(this.smoothedFPS), level: index });
+        }
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
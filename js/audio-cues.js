@@ -0,0 +1,70 @@
+// audio-cues.js - Countdown Beeps Generated with WebAudio
+
+export class AudioCues {
+    constructor() {
+        this.audioContext = null;
+        this.volume = 0.2;
+    }
+
+    /**
+     * Create / resume the audio context (browsers require a user gesture first)
+     */
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
+    }
+
+    /**
+     * Countdown tick - the final second gets a higher "go" tone
+     * @param {number} remaining - Seconds left in the countdown
+     */
+    countdown(remaining) {
+        if (remaining === 1) {
+            this.beep(1320, 0.35);
+        } else {
+            this.beep(880, 0.12);
+        }
+    }
+
+    /**
+     * Short confirmation tone (e.g. start gesture recognized)
+     */
+    armed() {
+        this.beep(660, 0.08);
+    }
+
+    /**
+     * Play a sine tone with a short fade to avoid clicks
+     * @param {number} frequency - Hz
+     * @param {number} duration - Seconds
+     */
+    beep(frequency, duration) {
+        this.unlock();
+        if (!this.audioContext || this.audioContext.state !== 'running') return;
+
+        const now = this.audioContext.currentTime;
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(this.volume, now + 0.01);
+        gain.gain.setValueAtTime(this.volume, now + duration - 0.03);
+        gain.gain.linearRampToValueAtTime(0, now + duration);
+
+        oscillator.connect(gain);
+        gain.connect(this.audioContext.destination);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+    }
+}
@@ -0,0 +1,139 @@
+// audio-input.js - Microphone Access and Level Metering
+
+export class AudioInputManager {
+    constructor() {
+        this.stream = null;
+        this.audioContext = null;
+        this.analyser = null;
+        this.sourceNode = null;
+        this.levelBuffer = null;
+        this.constraints = {
+            audio: {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            },
+            video: false
+        };
+    }
+
+    /**
+     * Initialize microphone access
+     * @returns {Promise<MediaStream>}
+     */
+    async init() {
+        if (this.stream) {
+            return this.stream;
+        }
+
+        try {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Microphone API not supported in this browser');
+            }
+
+            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+
+            // Analyser for the live input level meter
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+            this.sourceNode = this.audioContext.createMediaStreamSource(this.stream);
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 512;
+            this.levelBuffer = new Float32Array(this.analyser.fftSize);
+            this.sourceNode.connect(this.analyser);
+
+            console.log('Microphone initialized successfully');
+            return this.stream;
+        } catch (error) {
+            console.error('Microphone initialization failed:', error);
+            this.stop();
+            throw this.handleMicrophoneError(error);
+        }
+    }
+
+    /**
+     * Handle microphone errors with user-friendly messages
+     */
+    handleMicrophoneError(error) {
+        let message = 'Failed to access microphone: ';
+
+        if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+            message += 'Permission denied. Please allow microphone access in your browser settings.';
+        } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+            message += 'No microphone found on this device.';
+        } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
+            message += 'Microphone is already in use by another application.';
+        } else {
+            message += error.message || 'Unknown error occurred.';
+        }
+
+        return new Error(message);
+    }
+
+    /**
+     * Get the microphone audio tracks
+     * @returns {MediaStreamTrack[]}
+     */
+    getTracks() {
+        return this.stream ? this.stream.getAudioTracks() : [];
+    }
+
+    /**
+     * Resume the level meter's audio context
+     * Created without a user gesture (audio enabled from saved settings) it starts suspended.
+     */
+    resume() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
+    }
+
+    /**
+     * Get current input level (0 - 1)
+     */
+    getLevel() {
+        if (!this.analyser) return 0;
+
+        this.analyser.getFloatTimeDomainData(this.levelBuffer);
+
+        // Root mean square of the waveform
+        let sum = 0;
+        for (let i = 0; i < this.levelBuffer.length; i++) {
+            sum += this.levelBuffer[i] * this.levelBuffer[i];
+        }
+        const rms = Math.sqrt(sum / this.levelBuffer.length);
+
+        // Speech sits around 0.05 - 0.2 RMS, so boost for a readable meter
+        return Math.min(1, rms * 4);
+    }
+
+    /**
+     * Stop microphone stream
+     */
+    stop() {
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        this.analyser = null;
+        this.levelBuffer = null;
+    }
+
+    /**
+     * Check if microphone is active
+     */
+    isActive() {
+        return this.stream !== null && this.stream.active;
+    }
+}
@@ -0,0 +1,148 @@
+// camera-controls-panel.js - Settings Rows for Zoom, Exposure, White Balance, Focus and Torch
+
+const CONTROL_LABELS = {
+    zoom: 'Zoom',
+    exposureMode: 'Exposure',
+    exposureCompensation: 'Exposure Compensation',
+    exposureTime: 'Exposure Time',
+    whiteBalanceMode: 'White Balance',
+    colorTemperature: 'Color Temperature',
+    focusMode: 'Focus',
+    focusDistance: 'Focus Distance',
+    torch: 'Torch'
+};
+
+// Manual values only take effect while their mode is 'manual'
+const MODE_FOR_VALUE = {
+    exposureTime: 'exposureMode',
+    colorTemperature: 'whiteBalanceMode',
+    focusDistance: 'focusMode'
+};
+
+const MODE_LABELS = {
+    continuous: 'Auto',
+    'single-shot': 'Lock Once',
+    manual: 'Manual',
+    none: 'Off'
+};
+
+export class CameraControlsPanel {
+    /**
+     * @param {HTMLElement} container - Element the control rows are rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.onChange = null; // Called with (name, value, final) - final is false while a slider is dragged
+        this.rows = {};
+        this.values = {};
+    }
+
+    /**
+     * Build rows for the controls the camera supports
+     * @param {Array<{name: string, capability: *, value: *}>} controls - From CameraManager.getControls()
+     */
+    render(controls) {
+        this.rows = {};
+        this.values = {};
+        this.container.replaceChildren(...controls.map(control => this.createRow(control)).filter(Boolean));
+        this.updateManualRows();
+    }
+
+    /**
+     * Check if any controls are shown
+     */
+    hasControls() {
+        return Object.keys(this.rows).length > 0;
+    }
+
+    /**
+     * Create a row matching the capability type (range, mode list or on/off)
+     */
+    createRow({ name, capability, value }) {
+        const row = document.createElement('div');
+        row.className = 'setting-item';
+
+        const id = `cameraControl-${name}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = CONTROL_LABELS[name];
+
+        let input;
+        if (Array.isArray(capability)) {
+            if (capability.length < 2) return null; // Nothing to choose
+
+            input = document.createElement('select');
+            input.append(...capability.map(mode => new Option(MODE_LABELS[mode] || mode, mode)));
+            input.value = value;
+            input.addEventListener('change', () => this.emit(name, input.value, true));
+            row.append(label, input);
+        } else if (typeof capability === 'object' && capability.max > capability.min) {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = capability.min;
+            input.max = capability.max;
+            input.step = capability.step || (capability.max - capability.min) / 100;
+            input.value = value !== undefined ? value : capability.min;
+
+            const display = document.createElement('span');
+            display.textContent = CameraControlsPanel.formatValue(name, Number(input.value));
+
+            input.addEventListener('input', () => {
+                display.textContent = CameraControlsPanel.formatValue(name, Number(input.value));
+                this.emit(name, Number(input.value), false);
+            });
+            input.addEventListener('change', () => this.emit(name, Number(input.value), true));
+            row.append(label, input, display);
+        } else if (capability === true) {
+            // Torch: checkbox label wraps the input like the other toggles
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = !!value;
+            input.addEventListener('change', () => this.emit(name, input.checked, true));
+
+            label.prepend(input, ' ');
+            row.append(label);
+        } else {
+            return null;
+        }
+
+        input.id = id;
+        this.rows[name] = row;
+        this.values[name] = value;
+        return row;
+    }
+
+    /**
+     * Record a change and notify
+     */
+    emit(name, value, final) {
+        this.values[name] = value;
+        this.updateManualRows();
+
+        if (this.onChange) {
+            this.onChange(name, value, final);
+        }
+    }
+
+    /**
+     * Only show manual values (exposure time, color temperature, focus distance) in manual mode
+     */
+    updateManualRows() {
+        for (const [name, modeName] of Object.entries(MODE_FOR_VALUE)) {
+            if (!this.rows[name] || !this.rows[modeName]) continue;
+            this.rows[name].classList.toggle('hidden', this.values[modeName] !== 'manual');
+        }
+    }
+
+    /**
+     * Human-readable value for a range control
+     */
+    static formatValue(name, value) {
+        if (name === 'zoom') return `${value.toFixed(1)}x`;
+        if (name === 'exposureCompensation') return `${value > 0 ? '+' : ''}${value.toFixed(1)} EV`;
+        // exposureTime is in 100 µs units
+        if (name === 'exposureTime') return value >= 10 ? `1/${Math.round(10000 / value)}s` : `${(value / 10).toFixed(1)} ms`;
+        if (name === 'colorTemperature') return `${Math.round(value)}K`;
+        return `${Math.round(value * 100) / 100}`;
+    }
+}
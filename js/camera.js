@@ -1,5 +1,26 @@
 // camera.js - Camera Access and Stream Management
 
+// Image controls exposed in the camera panel, in display order
+export const CAMERA_CONTROLS = [
+    'zoom',
+    'exposureMode',
+    'exposureCompensation',
+    'exposureTime',
+    'whiteBalanceMode',
+    'colorTemperature',
+    'focusMode',
+    'focusDistance',
+    'torch'
+];
+
+// Captured screens are scaled down to this long side; the scene canvas is sized from it
+const MAX_SCREEN_SIZE = 1920;
+
+// Track loss recovery
+const MUTE_GRACE_MS = 1500; // Brief mutes (e.g. OS camera hand-off) are not treated as loss
+const RECONNECT_DELAYS = [1000, 2000, 4000, 8000]; // Backoff; the last delay repeats
+const FALLBACK_AFTER_ATTEMPTS = 2; // Only try other cameras once the preferred one keeps failing
+
 export class CameraManager {
     constructor() {
         this.stream = null;
@@ -12,14 +33,38 @@ export class CameraManager {
             },
             audio: false
         };
+        this.deviceId = null; // Chosen camera, or null for the browser default / facingMode
+        this.cameras = [];
+        this.onDevicesChange = null; // Called with (cameras, fallbackDeviceId) after hot-plug changes
+        this.deviceChangeHandler = null;
+        this.deviceChangeQueue = Promise.resolve(); // Device change passes run one at a time
+        this.switchingDevice = false; // A setDevice() restart is in flight
+        this.sourceType = 'camera'; // 'camera' or 'file'
+        this.fileURL = null;
+        this.fileName = null;
+        this.mirrorMode = 'auto'; // 'auto' (mirror cameras facing the user), 'on' or 'off'
+        this.mirror = true; // Whether the preview is currently shown mirrored
+        this.controlPresets = {}; // Saved image control values per device id
+        this.defaultControls = {}; // Values the camera opened with, for reset
+        this.onTrackLost = null; // Called with (reason) when the camera stops delivering frames
+        this.onReconnectAttempt = null; // Called with (attempt, delayMs) before each retry
+        this.onTrackRestored = null; // Called with (deviceId, isFallback) once a camera is streaming again
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.muteTimer = null;
+        this.screenStream = null;
+        this.screenVideo = null; // Hidden video element playing the captured screen
+        this.onScreenCaptureEnded = null; // Called when the user stops sharing from the browser UI
     }
 
     /**
      * Initialize camera access
      * @param {HTMLVideoElement} videoElement - Video element to attach stream
+     * @param {Object} [options] - { fallback: false } fails instead of switching to the default camera
      * @returns {Promise<MediaStream>}
      */
-    async init(videoElement) {
+    async init(videoElement, options = {}) {
         this.videoElement = videoElement;
 
         try {
@@ -29,10 +74,11 @@ export class CameraManager {
             }
 
             // Request camera access
-            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+            this.stream = await this.openStream(options.fallback !== false);
 
             // Attach stream to video element
             this.videoElement.srcObject = this.stream;
+            this.watchTrack();
 
             // Wait for video metadata to load
             await new Promise((resolve) => {
@@ -41,6 +87,9 @@ export class CameraManager {
 
             // Play the video
             await this.videoElement.play();
+            this.sourceType = 'camera';
+            this.updateMirror();
+            await this.restoreControls();
 
             console.log('Camera initialized successfully');
             console.log('Video dimensions:', videoElement.videoWidth, 'x', videoElement.videoHeight);
@@ -52,6 +101,348 @@ export class CameraManager {
         }
     }
 
+    /**
+     * Use a local video file as the input instead of the camera
+     * The file loops through the same video element, so gestures, segmentation and clones work unchanged.
+     * @param {File} file - Video file
+     * @param {HTMLVideoElement} videoElement
+     */
+    async initFromFile(file, videoElement = this.videoElement) {
+        if (file.type && !file.type.startsWith('video/')) {
+            throw new Error(`${file.name} is not a video file`);
+        }
+
+        this.cancelReconnect();
+        this.stop();
+        this.videoElement = videoElement;
+        this.fileURL = URL.createObjectURL(file);
+        this.fileName = file.name;
+
+        videoElement.loop = true;
+        videoElement.muted = true;
+        videoElement.src = this.fileURL;
+
+        try {
+            await new Promise((resolve, reject) => {
+                videoElement.onloadedmetadata = resolve;
+                videoElement.onerror = () => reject(new Error(`Unable to play ${file.name}`));
+            });
+            await videoElement.play();
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+
+        this.sourceType = 'file';
+        this.updateMirror();
+        console.log(`Input file: ${file.name} (${videoElement.videoWidth}x${videoElement.videoHeight})`);
+    }
+
+    /**
+     * Check if the input is a local video file
+     */
+    isFileSource() {
+        return this.sourceType === 'file' && this.fileURL !== null;
+    }
+
+    /**
+     * Jump back to the start of the input file (for repeatable takes)
+     */
+    restartFile() {
+        if (this.isFileSource()) {
+            this.videoElement.currentTime = 0;
+        }
+    }
+
+    /**
+     * Listen for the track ending (unplugged, taken by another app) or going quiet (OS suspended it)
+     */
+    watchTrack() {
+        const track = this.getVideoTrack();
+        if (!track) return;
+
+        track.onended = () => this.handleTrackLost('ended');
+        track.onmute = () => {
+            clearTimeout(this.muteTimer);
+            this.muteTimer = setTimeout(() => this.handleTrackLost('muted'), MUTE_GRACE_MS);
+        };
+        track.onunmute = () => clearTimeout(this.muteTimer);
+    }
+
+    /**
+     * Stop listening to the current track (before it is stopped on purpose)
+     */
+    unwatchTrack() {
+        clearTimeout(this.muteTimer);
+
+        const track = this.getVideoTrack();
+        if (track) {
+            track.onended = null;
+            track.onmute = null;
+            track.onunmute = null;
+        }
+    }
+
+    /**
+     * The camera stopped delivering frames - notify and start reconnecting
+     * @param {string} reason - 'ended' or 'muted'
+     */
+    handleTrackLost(reason) {
+        if (this.reconnecting || this.isFileSource()) return;
+
+        console.warn(`Camera track ${reason} - reconnecting`);
+        this.stop();
+        this.reconnecting = true;
+        this.reconnectAttempt = 0;
+
+        if (this.onTrackLost) {
+            this.onTrackLost(reason);
+        }
+
+        this.scheduleReconnect(RECONNECT_DELAYS[0]);
+    }
+
+    /**
+     * Queue the next reconnect attempt (replacing any pending one)
+     */
+    scheduleReconnect(delay) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+
+        if (this.onReconnectAttempt) {
+            this.onReconnectAttempt(this.reconnectAttempt + 1, delay);
+        }
+    }
+
+    /**
+     * Try the preferred camera again, then any other camera once it keeps failing
+     * The preferred device id is kept, so hot-plug handling can return to it later.
+     */
+    async reconnect() {
+        this.reconnectTimer = null;
+        if (!this.reconnecting) return;
+
+        this.reconnectAttempt++;
+        const preferred = this.deviceId;
+        const cameras = await this.listCameras().catch(() => this.cameras);
+
+        const candidates = [preferred];
+        if (this.reconnectAttempt > FALLBACK_AFTER_ATTEMPTS) {
+            candidates.push(...cameras.map(c => c.deviceId).filter(id => id !== preferred));
+        }
+
+        for (const deviceId of candidates) {
+            // Cancelled while waiting (e.g. the user picked a file) - leave the new source alone
+            if (!this.reconnecting) return;
+
+            let stream;
+            try {
+                this.deviceId = deviceId;
+                // Each candidate is tried as-is; other cameras only after FALLBACK_AFTER_ATTEMPTS
+                stream = await this.init(this.videoElement, { fallback: false });
+            } catch (error) {
+                console.warn(`Reconnect attempt ${this.reconnectAttempt} (${this.getCameraLabel(deviceId)}) failed:`, error.message);
+                continue;
+            } finally {
+                this.deviceId = preferred;
+            }
+
+            if (!this.reconnecting) {
+                this.releaseStream(stream);
+                return;
+            }
+
+            const activeId = this.getActiveDeviceId();
+            const isFallback = !!preferred && activeId !== preferred;
+            this.reconnecting = false;
+            console.log(`Camera reconnected after ${this.reconnectAttempt} attempt(s): ${this.getCameraLabel(activeId)}`);
+
+            if (this.onTrackRestored) {
+                this.onTrackRestored(activeId, isFallback);
+            }
+            return;
+        }
+
+        if (!this.reconnecting) return;
+
+        const delay = RECONNECT_DELAYS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+        this.scheduleReconnect(delay);
+    }
+
+    /**
+     * Close a stream a cancelled reconnect opened, detaching it if it is still the current one
+     */
+    releaseStream(stream) {
+        stream.getTracks().forEach(track => track.stop());
+
+        if (this.stream === stream) {
+            this.unwatchTrack();
+            this.stream = null;
+        }
+        if (this.videoElement && this.videoElement.srcObject === stream) {
+            this.videoElement.srcObject = null;
+        }
+    }
+
+    /**
+     * Give up reconnecting (e.g. the user switched to a file)
+     */
+    cancelReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnecting = false;
+    }
+
+    /**
+     * Open the chosen camera, falling back to the default if it has gone away
+     * @param {boolean} fallback - Whether a missing camera may be replaced by the default one
+     */
+    async openStream(fallback = true) {
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.getConstraints());
+        } catch (error) {
+            const missing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError' || error.name === 'NotReadableError';
+            if (!fallback || !this.deviceId || !missing) throw error;
+
+            console.warn(`Camera ${this.deviceId} unavailable (${error.name}) - using default camera`);
+            this.deviceId = null;
+            return navigator.mediaDevices.getUserMedia(this.getConstraints());
+        }
+    }
+
+    /**
+     * Build getUserMedia constraints for the chosen device (or facing mode)
+     */
+    getConstraints() {
+        const video = { ...this.constraints.video };
+
+        if (this.deviceId) {
+            video.deviceId = { exact: this.deviceId };
+            delete video.facingMode;
+        }
+
+        return { ...this.constraints, video };
+    }
+
+    /**
+     * List available cameras
+     * Labels are only filled in once camera permission has been granted.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async listCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        this.cameras = devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+
+        return this.cameras;
+    }
+
+    /**
+     * Device id of the camera currently streaming
+     */
+    getActiveDeviceId() {
+        const track = this.getVideoTrack();
+        return track ? track.getSettings().deviceId || null : null;
+    }
+
+    /**
+     * Switch to a specific camera
+     * @param {string|null} deviceId - Camera to use, or null for the default
+     */
+    async setDevice(deviceId) {
+        this.deviceId = deviceId || null;
+
+        const wasReconnecting = this.reconnecting;
+        this.cancelReconnect();
+
+        // Picking a camera also leaves file input (or a camera that was lost)
+        if (this.stream || this.isFileSource() || wasReconnecting) {
+            this.switchingDevice = true;
+            try {
+                await this.stop();
+                await this.init(this.videoElement);
+            } finally {
+                this.switchingDevice = false;
+            }
+        }
+
+        console.log(`Camera selected: ${this.getCameraLabel(this.getActiveDeviceId())}`);
+    }
+
+    /**
+     * Human-readable name for a camera
+     */
+    getCameraLabel(deviceId) {
+        const camera = this.cameras.find(c => c.deviceId === deviceId);
+        return camera ? camera.label : 'default camera';
+    }
+
+    /**
+     * React to cameras being plugged in or removed
+     * If the active camera disappears the first remaining camera takes over.
+     */
+    watchDevices() {
+        if (!navigator.mediaDevices || this.deviceChangeHandler) return;
+
+        const onDeviceChange = async () => {
+            const activeId = this.getActiveDeviceId();
+            const cameras = await this.listCameras();
+            let fallbackId = null;
+
+            // A camera switch is already starting a stream - let it finish rather than open a second one
+            if (this.switchingDevice) {
+                if (this.onDevicesChange) {
+                    this.onDevicesChange(cameras, null);
+                }
+                return;
+            }
+
+            // A camera appeared while reconnecting - try it now instead of waiting out the backoff
+            if (this.reconnecting) {
+                if (this.reconnectTimer) {
+                    this.scheduleReconnect(0);
+                }
+                if (this.onDevicesChange) {
+                    this.onDevicesChange(cameras, null);
+                }
+                return;
+            }
+
+            const activeLost = !this.isFileSource() && (!this.isActive() || (activeId && !cameras.some(c => c.deviceId === activeId)));
+            if (activeLost && cameras.length > 0) {
+                fallbackId = cameras[0].deviceId;
+                console.warn(`Active camera removed - switching to ${cameras[0].label}`);
+
+                try {
+                    await this.setDevice(fallbackId);
+                } catch (error) {
+                    console.error('Fallback camera failed:', error);
+                }
+            }
+
+            console.log(`Cameras changed: ${cameras.length} available`);
+            if (this.onDevicesChange) {
+                this.onDevicesChange(cameras, fallbackId);
+            }
+        };
+
+        // Events can fire again while a fallback switch is still opening the camera
+        // Queue them so each pass sees the device the previous one switched to
+        this.deviceChangeHandler = () => {
+            this.deviceChangeQueue = this.deviceChangeQueue
+                .then(onDeviceChange)
+                .catch((error) => console.error('Failed to handle camera change:', error));
+        };
+
+        navigator.mediaDevices.addEventListener('devicechange', this.deviceChangeHandler);
+    }
+
     /**
      * Handle camera errors with user-friendly messages
      */
@@ -101,11 +492,196 @@ export class CameraManager {
     async switchCamera() {
         const currentFacingMode = this.constraints.video.facingMode;
         this.constraints.video.facingMode = currentFacingMode === 'user' ? 'environment' : 'user';
+        this.deviceId = null; // Facing mode picks the camera from here on
 
-        if (this.stream) {
+        const wasReconnecting = this.reconnecting;
+        this.cancelReconnect();
+
+        if (this.stream || wasReconnecting) {
             await this.stop();
             await this.init(this.videoElement);
         }
+
+        // Front camera mirrors, rear camera doesn't
+        this.updateMirror();
+    }
+
+    /**
+     * Check if the camera faces the user
+     * Desktop webcams usually don't report a facing mode and are treated as front cameras.
+     */
+    isFrontFacing() {
+        if (this.isFileSource()) return false;
+
+        const track = this.getVideoTrack();
+        const facingMode = (track && track.getSettings().facingMode) || this.constraints.video.facingMode;
+        return facingMode !== 'environment';
+    }
+
+    /**
+     * Choose how the preview is mirrored
+     * @param {string} mode - 'auto', 'on' or 'off'
+     * @returns {boolean} Whether the preview is now mirrored
+     */
+    setMirrorMode(mode) {
+        this.mirrorMode = ['auto', 'on', 'off'].includes(mode) ? mode : 'auto';
+        return this.updateMirror();
+    }
+
+    /**
+     * Recompute the mirror state for the current input
+     */
+    updateMirror() {
+        this.mirror = this.mirrorMode === 'auto' ? this.isFrontFacing() : this.mirrorMode === 'on';
+        return this.mirror;
+    }
+
+    /**
+     * Live video track of the camera stream, if any
+     */
+    getVideoTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    }
+
+    /**
+     * Image controls the active camera supports
+     * @returns {Array<{name: string, capability: *, value: *}>} Capability is a range, list of modes or boolean
+     */
+    getControls() {
+        const track = this.getVideoTrack();
+        if (!track || !track.getCapabilities) return [];
+
+        const capabilities = track.getCapabilities();
+        const settings = track.getSettings();
+
+        return CAMERA_CONTROLS
+            .filter(name => name in capabilities)
+            .map(name => ({ name, capability: capabilities[name], value: settings[name] }));
+    }
+
+    /**
+     * Preset key for the active camera
+     */
+    getControlKey() {
+        return this.getActiveDeviceId() || 'default';
+    }
+
+    /**
+     * Change one image control and remember it for this camera
+     * @param {string} name - One of CAMERA_CONTROLS
+     * @param {*} value
+     */
+    async setControl(name, value) {
+        const key = this.getControlKey();
+        const preset = { ...this.controlPresets[key], [name]: value };
+
+        await this.applyControls(preset);
+        this.controlPresets[key] = preset;
+    }
+
+    /**
+     * Apply control values the track supports
+     */
+    async applyControls(values) {
+        const track = this.getVideoTrack();
+        if (!track || !track.getCapabilities) return;
+
+        if (Object.keys(this.getSupportedControls(values)).length > 0) {
+            await track.applyConstraints(this.getTrackConstraints(values));
+        }
+    }
+
+    /**
+     * Keep only the control values the running track supports
+     */
+    getSupportedControls(values) {
+        const track = this.getVideoTrack();
+        if (!track || !track.getCapabilities) return {};
+
+        const capabilities = track.getCapabilities();
+        const supported = {};
+        for (const [name, value] of Object.entries(values)) {
+            if (name in capabilities && value !== undefined) {
+                supported[name] = value;
+            }
+        }
+        return supported;
+    }
+
+    /**
+     * Full constraint set for the running track
+     * applyConstraints() replaces every earlier constraint, so size, frame rate and image controls
+     * always go together. Modes share a set with their manual values so e.g. exposure time sticks.
+     * @param {Object} [controls] - Control values, defaults to this camera's saved ones
+     */
+    getTrackConstraints(controls = this.controlPresets[this.getControlKey()]) {
+        const video = this.getConstraints().video;
+        const supported = this.getSupportedControls(controls || {});
+
+        if (Object.keys(supported).length > 0) {
+            video.advanced = [supported];
+        }
+        return video;
+    }
+
+    /**
+     * Remember the camera's own defaults, then re-apply this camera's saved controls
+     */
+    async restoreControls() {
+        this.defaultControls = {};
+        for (const control of this.getControls()) {
+            this.defaultControls[control.name] = control.value;
+        }
+
+        const preset = this.controlPresets[this.getControlKey()];
+        if (!preset) return;
+
+        try {
+            await this.applyControls(preset);
+            console.log(`Camera controls restored: ${Object.keys(preset).join(', ')}`);
+        } catch (error) {
+            console.warn('Failed to restore camera controls:', error);
+        }
+    }
+
+    /**
+     * Forget this camera's saved controls and go back to its defaults
+     */
+    async resetControls() {
+        delete this.controlPresets[this.getControlKey()];
+        await this.applyControls(this.defaultControls);
+    }
+
+    /**
+     * Highest frame rate the camera reports (0 if unknown)
+     */
+    getMaxFrameRate() {
+        const track = this.getVideoTrack();
+        if (!track || !track.getCapabilities) return 0;
+
+        const capabilities = track.getCapabilities();
+        return capabilities.frameRate ? Math.floor(capabilities.frameRate.max) : 0;
+    }
+
+    /**
+     * Request a camera frame rate without restarting the stream
+     * @param {number|null} fps - Target rate, or null for the browser default
+     * @returns {Promise<number>} Frame rate the camera settled on
+     */
+    async setFrameRate(fps) {
+        if (fps) {
+            this.constraints.video.frameRate = { ideal: fps };
+        } else {
+            delete this.constraints.video.frameRate;
+        }
+
+        const track = this.getVideoTrack();
+        if (!track) return 0;
+
+        await track.applyConstraints(this.getTrackConstraints());
+        const actual = track.getSettings().frameRate || 0;
+        console.log(`Camera frame rate: ${actual} FPS${fps ? ` (requested ${fps})` : ''}`);
+        return actual;
     }
 
     /**
@@ -119,10 +695,96 @@ export class CameraManager {
         };
     }
 
+    /**
+     * Check if the browser can capture a screen or window
+     */
+    static isScreenCaptureSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+    }
+
+    /**
+     * Capture a screen or window as a background layer
+     * The camera keeps running as the subject in front of it.
+     * @returns {Promise<HTMLVideoElement>} Video element playing the capture
+     */
+    async startScreenCapture() {
+        if (!CameraManager.isScreenCaptureSupported()) {
+            throw new Error('Screen capture is not supported in this browser');
+        }
+
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+            video: { frameRate: { ideal: 30 } },
+            audio: false
+        });
+
+        this.stopScreenCapture();
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+
+        await new Promise((resolve) => {
+            video.onloadedmetadata = resolve;
+        });
+        await video.play();
+
+        stream.getVideoTracks()[0].onended = () => {
+            console.log('Screen capture ended');
+            this.stopScreenCapture();
+            if (this.onScreenCaptureEnded) {
+                this.onScreenCaptureEnded();
+            }
+        };
+
+        this.screenStream = stream;
+        this.screenVideo = video;
+        console.log(`Screen capture started: ${video.videoWidth}x${video.videoHeight}`);
+        return video;
+    }
+
+    /**
+     * Stop sharing the screen
+     */
+    stopScreenCapture() {
+        if (!this.screenStream) return;
+
+        this.screenStream.getTracks().forEach(track => {
+            track.onended = null;
+            track.stop();
+        });
+        this.screenVideo.srcObject = null;
+        this.screenStream = null;
+        this.screenVideo = null;
+    }
+
+    /**
+     * Check if a screen is being captured
+     */
+    isScreenCapture() {
+        return this.screenStream !== null;
+    }
+
+    /**
+     * Size of the captured screen, scaled to fit MAX_SCREEN_SIZE (even numbers for H.264)
+     */
+    getScreenDimensions() {
+        if (!this.screenVideo) return { width: 0, height: 0 };
+
+        const { videoWidth, videoHeight } = this.screenVideo;
+        const scale = Math.min(1, MAX_SCREEN_SIZE / Math.max(videoWidth, videoHeight));
+        return {
+            width: Math.round(videoWidth * scale) & ~1,
+            height: Math.round(videoHeight * scale) & ~1
+        };
+    }
+
     /**
      * Stop camera stream
      */
     stop() {
+        this.unwatchTrack();
+
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
@@ -132,6 +794,16 @@ export class CameraManager {
             this.videoElement.srcObject = null;
         }
 
+        if (this.fileURL) {
+            this.videoElement.pause();
+            this.videoElement.removeAttribute('src');
+            this.videoElement.loop = false;
+            this.videoElement.load();
+            URL.revokeObjectURL(this.fileURL);
+            this.fileURL = null;
+            this.fileName = null;
+        }
+
         console.log('Camera stopped');
     }
 
@@ -139,6 +811,7 @@ export class CameraManager {
      * Check if camera is active
      */
     isActive() {
+        if (this.isFileSource()) return true;
         return this.stream !== null && this.stream.active;
     }
 }
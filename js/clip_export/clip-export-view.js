@@ -0,0 +1,118 @@
+// clip-export-view.js - GIF / WebP Export Options UI
+
+import { exportClip, estimateClipSize, getClipFrameCount, getClipFrameRate, getSupportedClipFormats } from './clip-exporter.js';
+import { VideoRecorder } from '../recorder.js';
+
+export class ClipExportView {
+    /**
+     * @param {Object} elements - Export modal elements (see index.html #clipExportModal)
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.source = null;
+        this.isExporting = false;
+
+        const webpOption = this.elements.format.querySelector('option[value="webp"]');
+        webpOption.disabled = !getSupportedClipFormats().includes('webp');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Wire up controls
+     */
+    setupEventListeners() {
+        const { format, fps, width, loop, dither, exportBtn } = this.elements;
+
+        [format, fps, width, loop, dither].forEach((input) => {
+            input.addEventListener('input', () => this.updateEstimate());
+            input.addEventListener('change', () => this.updateEstimate());
+        });
+
+        exportBtn.addEventListener('click', () => this.export());
+    }
+
+    /**
+     * Show export options for a video range
+     * @param {Object} source - { blob, startTime, endTime (seconds), aspectRatio (width / height) }
+     */
+    open(source) {
+        this.source = source;
+        this.elements.range.textContent = source.startTime > 0 || source.trimmed
+            ? `${VideoRecorder.formatDuration(source.startTime * 1000)} - ${VideoRecorder.formatDuration(source.endTime * 1000)}`
+            : `Full take (${VideoRecorder.formatDuration(source.endTime * 1000)})`;
+
+        this.setExporting(false);
+        this.updateEstimate();
+        this.elements.modal.classList.remove('hidden');
+    }
+
+    /**
+     * Read current option values
+     */
+    getOptions() {
+        const { format, fps, width, loop, dither } = this.elements;
+        const outputWidth = parseInt(width.value);
+
+        return {
+            format: format.value,
+            fps: parseInt(fps.value),
+            width: outputWidth,
+            height: Math.round(outputWidth / (this.source.aspectRatio || 16 / 9)),
+            loop: Math.max(0, parseInt(loop.value) || 0),
+            dither: dither.checked,
+            startTime: this.source.startTime,
+            endTime: this.source.endTime
+        };
+    }
+
+    /**
+     * Refresh labels and the size estimate
+     */
+    updateEstimate() {
+        if (!this.source) return;
+
+        const options = this.getOptions();
+        const { fpsValue, ditherRow, estimate } = this.elements;
+        const bytes = estimateClipSize(options);
+        const frameRate = getClipFrameRate(options);
+
+        fpsValue.textContent = options.fps;
+        ditherRow.classList.toggle('hidden', options.format !== 'gif');
+        // Long ranges keep their full length at a lower frame rate
+        const rate = frameRate < options.fps ? ` at ${frameRate.toFixed(1)} FPS` : '';
+        estimate.textContent = `${getClipFrameCount(options)} frames${rate} · ${options.width}x${options.height} · ~${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Run the export and download the result
+     */
+    async export() {
+        if (this.isExporting || !this.source) return;
+
+        const options = this.getOptions();
+        this.setExporting(true);
+
+        try {
+            const result = await exportClip(this.source.blob, options, (progress) => {
+                this.elements.exportBtn.textContent = `Exporting ${Math.round(progress * 100)}%`;
+            });
+
+            VideoRecorder.downloadBlob(result, `clone-recorder-clip-${Date.now()}`);
+        } catch (error) {
+            console.error('Clip export failed:', error);
+            alert('Failed to export clip: ' + error.message);
+        } finally {
+            this.setExporting(false);
+        }
+    }
+
+    /**
+     * Toggle exporting UI state
+     */
+    setExporting(exporting) {
+        this.isExporting = exporting;
+        this.elements.exportBtn.disabled = exporting;
+        this.elements.exportBtn.textContent = exporting ? 'Exporting...' : 'Export';
+    }
+}
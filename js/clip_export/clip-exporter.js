@@ -0,0 +1,112 @@
+// clip-exporter.js - Re-sample Recorded Takes into Animated GIF / WebP
+
+import { loadVideo, seekTo, captureFrame, canvasToBlob } from '../video-utils.js';
+import { encodeGif } from './gif-encoder.js';
+import { encodeAnimatedWebp, isWebpEncodingSupported } from './webp-encoder.js';
+
+// Keep memory bounded: frames are held uncompressed until encoding
+const MAX_FRAMES = 300;
+
+// Rough compressed bytes per pixel per frame, used for the size estimate
+const BYTES_PER_PIXEL = {
+    gif: 0.45,
+    gifDithered: 0.7,
+    webp: 0.08
+};
+
+/**
+ * Check which clip formats this browser can export
+ */
+export function getSupportedClipFormats() {
+    const formats = ['gif'];
+    if (isWebpEncodingSupported()) {
+        formats.push('webp');
+    }
+    return formats;
+}
+
+/**
+ * Frame rate an export is sampled at
+ * Long ranges are spread over MAX_FRAMES frames instead of being cut short, so the rate drops below the chosen one.
+ */
+export function getClipFrameRate(options) {
+    const length = Math.max(0, options.endTime - options.startTime);
+    return length * options.fps > MAX_FRAMES ? MAX_FRAMES / length : options.fps;
+}
+
+/**
+ * Number of frames an export will contain
+ */
+export function getClipFrameCount(options) {
+    const length = Math.max(0, options.endTime - options.startTime);
+    return Math.max(1, Math.min(MAX_FRAMES, Math.round(length * getClipFrameRate(options))));
+}
+
+/**
+ * Estimate the exported file size in bytes
+ * @param {Object} options - { format, startTime, endTime, fps, width, height, dither }
+ */
+export function estimateClipSize(options) {
+    const frames = getClipFrameCount(options);
+    const factor = options.format === 'webp'
+        ? BYTES_PER_PIXEL.webp
+        : options.dither ? BYTES_PER_PIXEL.gifDithered : BYTES_PER_PIXEL.gif;
+
+    return Math.round(frames * options.width * options.height * factor);
+}
+
+/**
+ * Export a range of a video as an animated clip
+ * @param {Blob} blob - Source video
+ * @param {Object} options - { format, startTime, endTime, fps, width, loop, dither }
+ * @param {Function} onProgress - Called with progress (0 - 1)
+ * @returns {Promise<Blob>}
+ */
+export async function exportClip(blob, options, onProgress = null) {
+    const { video, url, duration } = await loadVideo(blob);
+
+    try {
+        if (Number.isFinite(duration)) {
+            options = { ...options, endTime: Math.min(options.endTime, duration) };
+        }
+
+        const frameCount = getClipFrameCount(options);
+        const frameRate = getClipFrameRate(options);
+        const delay = 1000 / frameRate;
+        const frames = [];
+        let size = null;
+
+        // Sampling is the first half of the work, encoding the second
+        for (let i = 0; i < frameCount; i++) {
+            await seekTo(video, options.startTime + i / frameRate);
+            const canvas = captureFrame(video, options.width);
+            size = { width: canvas.width, height: canvas.height };
+
+            if (options.format === 'webp') {
+                frames.push(await canvasToBlob(canvas, 'image/webp', 0.8));
+            } else {
+                frames.push(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+            }
+
+            if (onProgress) {
+                onProgress((i + 1) / frameCount / 2);
+            }
+        }
+
+        // Let the progress update paint before the synchronous GIF encode
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const result = options.format === 'webp'
+            ? await encodeAnimatedWebp(frames, { ...size, delay, loop: options.loop })
+            : encodeGif(frames, { delay, loop: options.loop, dither: options.dither });
+
+        if (onProgress) {
+            onProgress(1);
+        }
+
+        console.log(`Clip exported: ${frameCount} frames ${size.width}x${size.height} ${options.format.toUpperCase()} (${(result.size / 1024 / 1024).toFixed(2)} MB)`);
+        return result;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,386 @@
+// gif-encoder.js - Animated GIF Encoding with Palette Quantization
+
+const MAX_PALETTE_SAMPLES = 60000;
+
+/**
+ * Encode frames as an animated GIF
+ * A single global palette is built with median cut over samples from all frames.
+ * @param {ImageData[]} frames - Frames of identical size
+ * @param {Object} options - { delay (ms), loop (0 = forever, N = play N times), dither }
+ * @returns {Blob}
+ */
+export function encodeGif(frames, options = {}) {
+    if (frames.length === 0) {
+        throw new Error('No frames to encode');
+    }
+
+    const { width, height } = frames[0];
+    const delay = Math.max(2, Math.round((options.delay || 100) / 10)); // centiseconds
+    const loop = options.loop || 0;
+    const palette = buildPalette(frames, 256);
+    const writer = new ByteWriter();
+
+    // Header + logical screen descriptor with a 256-color global table
+    writer.writeString('GIF89a');
+    writer.writeU16(width);
+    writer.writeU16(height);
+    writer.writeByte(0xF7);
+    writer.writeByte(0); // Background color index
+    writer.writeByte(0); // Pixel aspect ratio
+
+    for (const [r, g, b] of palette) {
+        writer.writeByte(r);
+        writer.writeByte(g);
+        writer.writeByte(b);
+    }
+
+    // NETSCAPE2.0 loop extension (omitted = play once)
+    if (loop !== 1) {
+        writer.writeBytes([0x21, 0xFF, 0x0B]);
+        writer.writeString('NETSCAPE2.0');
+        writer.writeBytes([0x03, 0x01]);
+        writer.writeU16(loop === 0 ? 0 : loop - 1);
+        writer.writeByte(0);
+    }
+
+    const mapper = new PaletteMapper(palette);
+
+    for (const frame of frames) {
+        // Graphic control extension: frame delay, no transparency
+        writer.writeBytes([0x21, 0xF9, 0x04, 0x00]);
+        writer.writeU16(delay);
+        writer.writeBytes([0x00, 0x00]);
+
+        // Image descriptor covering the full canvas
+        writer.writeByte(0x2C);
+        writer.writeU16(0);
+        writer.writeU16(0);
+        writer.writeU16(width);
+        writer.writeU16(height);
+        writer.writeByte(0);
+
+        const indices = options.dither
+            ? mapper.mapDithered(frame)
+            : mapper.map(frame);
+
+        writer.writeByte(8); // LZW minimum code size
+        writeSubBlocks(writer, lzwEncode(indices, 8));
+    }
+
+    writer.writeByte(0x3B); // Trailer
+    return new Blob([writer.toUint8Array()], { type: 'image/gif' });
+}
+
+/**
+ * Build a palette using median cut
+ * @returns {number[][]} Array of [r, g, b]
+ */
+function buildPalette(frames, maxColors) {
+    const totalPixels = frames.length * frames[0].width * frames[0].height;
+    const step = Math.max(1, Math.floor(totalPixels / MAX_PALETTE_SAMPLES));
+    const samples = [];
+
+    let counter = 0;
+    for (const frame of frames) {
+        const data = frame.data;
+        for (let i = 0; i < data.length; i += 4) {
+            if (counter++ % step === 0) {
+                samples.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+    }
+
+    let boxes = [samples];
+
+    while (boxes.length < maxColors) {
+        // Split the box with the widest channel range (weighted by population)
+        let bestIndex = -1;
+        let bestScore = 0;
+        let bestChannel = 0;
+
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+
+            const { channel, range } = widestChannel(box);
+            const score = range * Math.sqrt(box.length);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+                bestChannel = channel;
+            }
+        });
+
+        if (bestIndex === -1) break; // Nothing left to split
+
+        const box = boxes[bestIndex];
+        box.sort((a, b) => a[bestChannel] - b[bestChannel]);
+
+        // Split near the median, but on a value boundary so identical colors stay together
+        const median = box.length >> 1;
+        const value = box[median][bestChannel];
+        let lower = median;
+        let upper = median;
+        while (lower > 0 && box[lower - 1][bestChannel] === value) lower--;
+        while (upper < box.length && box[upper][bestChannel] === value) upper++;
+
+        const split = lower > 0 && (median - lower <= upper - median || upper === box.length) ? lower : upper;
+        boxes.splice(bestIndex, 1, box.slice(0, split), box.slice(split));
+    }
+
+    const palette = boxes.map((box) => {
+        const sum = [0, 0, 0];
+        for (const color of box) {
+            sum[0] += color[0];
+            sum[1] += color[1];
+            sum[2] += color[2];
+        }
+        return sum.map(value => Math.round(value / box.length));
+    });
+
+    // Global color table must have exactly 256 entries
+    while (palette.length < 256) {
+        palette.push([0, 0, 0]);
+    }
+
+    return palette;
+}
+
+/**
+ * Find the channel with the largest value range in a box
+ */
+function widestChannel(box) {
+    const min = [255, 255, 255];
+    const max = [0, 0, 0];
+
+    for (const color of box) {
+        for (let c = 0; c < 3; c++) {
+            if (color[c] < min[c]) min[c] = color[c];
+            if (color[c] > max[c]) max[c] = color[c];
+        }
+    }
+
+    const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+    const channel = ranges.indexOf(Math.max(...ranges));
+    return { channel, range: ranges[channel] };
+}
+
+/**
+ * Nearest-color lookup with a 15-bit color cache
+ */
+class PaletteMapper {
+    constructor(palette) {
+        this.palette = palette;
+        this.cache = new Int16Array(32768).fill(-1);
+    }
+
+    /**
+     * Find the nearest palette index for a color
+     */
+    nearest(r, g, b) {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        const cached = this.cache[key];
+        if (cached !== -1) return cached;
+
+        let best = 0;
+        let bestDistance = Infinity;
+
+        for (let i = 0; i < this.palette.length; i++) {
+            const [pr, pg, pb] = this.palette[i];
+            const distance = (pr - r) * (pr - r) + (pg - g) * (pg - g) + (pb - b) * (pb - b);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+
+        this.cache[key] = best;
+        return best;
+    }
+
+    /**
+     * Map a frame to palette indices
+     */
+    map(frame) {
+        const data = frame.data;
+        const indices = new Uint8Array(frame.width * frame.height);
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            indices[p] = this.nearest(data[i], data[i + 1], data[i + 2]);
+        }
+
+        return indices;
+    }
+
+    /**
+     * Map a frame to palette indices with Floyd-Steinberg dithering
+     */
+    mapDithered(frame) {
+        const { width, height } = frame;
+        const data = frame.data;
+        const indices = new Uint8Array(width * height);
+        const rgb = new Float32Array(width * height * 3);
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p += 3) {
+            rgb[p] = data[i];
+            rgb[p + 1] = data[i + 1];
+            rgb[p + 2] = data[i + 2];
+        }
+
+        const spread = (x, y, er, eg, eb, factor) => {
+            if (x < 0 || x >= width || y >= height) return;
+            const p = (y * width + x) * 3;
+            rgb[p] += er * factor;
+            rgb[p + 1] += eg * factor;
+            rgb[p + 2] += eb * factor;
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 3;
+                const r = Math.max(0, Math.min(255, rgb[p]));
+                const g = Math.max(0, Math.min(255, rgb[p + 1]));
+                const b = Math.max(0, Math.min(255, rgb[p + 2]));
+
+                const index = this.nearest(r | 0, g | 0, b | 0);
+                indices[y * width + x] = index;
+
+                const [pr, pg, pb] = this.palette[index];
+                const er = r - pr;
+                const eg = g - pg;
+                const eb = b - pb;
+
+                spread(x + 1, y, er, eg, eb, 7 / 16);
+                spread(x - 1, y + 1, er, eg, eb, 3 / 16);
+                spread(x, y + 1, er, eg, eb, 5 / 16);
+                spread(x + 1, y + 1, er, eg, eb, 1 / 16);
+            }
+        }
+
+        return indices;
+    }
+}
+
+/**
+ * GIF-flavoured LZW compression (variable code size, LSB-first packing)
+ * @returns {Uint8Array}
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const output = new ByteWriter();
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.writeByte(bitBuffer & 0xFF);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+
+        if (nextCode === 4096) {
+            // Table full - reset
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(eoiCode);
+
+    if (bitCount > 0) {
+        output.writeByte(bitBuffer & 0xFF);
+    }
+
+    return output.toUint8Array();
+}
+
+/**
+ * Split data into GIF sub-blocks (max 255 bytes each)
+ */
+function writeSubBlocks(writer, data) {
+    for (let offset = 0; offset < data.length; offset += 255) {
+        const block = data.subarray(offset, offset + 255);
+        writer.writeByte(block.length);
+        writer.writeBytes(block);
+    }
+    writer.writeByte(0); // Block terminator
+}
+
+/**
+ * Growable little-endian byte buffer
+ */
+class ByteWriter {
+    constructor(initialSize = 1 << 16) {
+        this.buffer = new Uint8Array(initialSize);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.buffer.length) return;
+
+        let size = this.buffer.length * 2;
+        while (size < this.length + extra) size *= 2;
+
+        const grown = new Uint8Array(size);
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.buffer[this.length++] = value;
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    writeU16(value) {
+        this.writeByte(value & 0xFF);
+        this.writeByte((value >> 8) & 0xFF);
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.writeByte(text.charCodeAt(i));
+        }
+    }
+
+    toUint8Array() {
+        return this.buffer.slice(0, this.length);
+    }
+}
@@ -0,0 +1,136 @@
+// webp-encoder.js - Animated WebP Assembly from Still WebP Frames
+
+/**
+ * Check the browser can encode still WebP images from a canvas
+ */
+export function isWebpEncodingSupported() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    return canvas.toDataURL('image/webp').startsWith('data:image/webp');
+}
+
+/**
+ * Combine still WebP images into one animated WebP
+ * Each still is produced by canvas.toBlob('image/webp'); its bitstream chunks are
+ * wrapped in ANMF frames inside a VP8X/ANIM container.
+ * @param {Blob[]} frameBlobs - Still WebP frames of identical size
+ * @param {Object} options - { width, height, delay (ms), loop (0 = forever) }
+ * @returns {Promise<Blob>}
+ */
+export async function encodeAnimatedWebp(frameBlobs, options) {
+    if (frameBlobs.length === 0) {
+        throw new Error('No frames to encode');
+    }
+
+    const { width, height } = options;
+    const delay = Math.max(1, Math.round(options.delay || 100));
+    const loop = options.loop || 0;
+    const chunks = [];
+    let hasAlpha = false;
+
+    for (const blob of frameBlobs) {
+        const frameData = extractBitstream(new Uint8Array(await blob.arrayBuffer()));
+        hasAlpha = hasAlpha || frameData.hasAlpha;
+
+        const header = new Uint8Array(16);
+        writeU24(header, 0, 0); // X offset / 2
+        writeU24(header, 3, 0); // Y offset / 2
+        writeU24(header, 6, width - 1);
+        writeU24(header, 9, height - 1);
+        writeU24(header, 12, delay);
+        header[15] = 0x02; // Do not blend, no disposal
+
+        chunks.push(createChunk('ANMF', concat([header, ...frameData.chunks])));
+    }
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0); // Animation (+ alpha) flags
+    writeU24(vp8x, 4, width - 1);
+    writeU24(vp8x, 7, height - 1);
+
+    const anim = new Uint8Array(6);
+    anim[4] = loop & 0xFF;
+    anim[5] = (loop >> 8) & 0xFF;
+
+    const body = concat([
+        ascii('WEBP'),
+        createChunk('VP8X', vp8x),
+        createChunk('ANIM', anim),
+        ...chunks
+    ]);
+
+    const riffSize = new Uint8Array(4);
+    new DataView(riffSize.buffer).setUint32(0, body.length, true);
+
+    return new Blob([ascii('RIFF'), riffSize, body], { type: 'image/webp' });
+}
+
+/**
+ * Pull the image bitstream chunks (ALPH + VP8/VP8L) out of a still WebP file
+ */
+function extractBitstream(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+        throw new Error('Frame is not a WebP image');
+    }
+
+    const chunks = [];
+    let hasAlpha = false;
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const fourCC = readFourCC(bytes, offset);
+        const size = view.getUint32(offset + 4, true);
+        const paddedSize = size + (size & 1);
+
+        if (fourCC === 'ALPH' || fourCC === 'VP8 ' || fourCC === 'VP8L') {
+            chunks.push(bytes.subarray(offset, offset + 8 + paddedSize));
+            hasAlpha = hasAlpha || fourCC === 'ALPH' || fourCC === 'VP8L';
+        }
+
+        offset += 8 + paddedSize;
+    }
+
+    if (chunks.length === 0) {
+        throw new Error('WebP frame has no image data');
+    }
+
+    return { chunks, hasAlpha };
+}
+
+/**
+ * Build a RIFF chunk (padded to an even size)
+ */
+function createChunk(fourCC, payload) {
+    const chunk = new Uint8Array(8 + payload.length + (payload.length & 1));
+    chunk.set(ascii(fourCC), 0);
+    new DataView(chunk.buffer).setUint32(4, payload.length, true);
+    chunk.set(payload, 8);
+    return chunk;
+}
+
+function writeU24(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+function readFourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function concat(arrays) {
+    const total = arrays.reduce((sum, array) => sum + array.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
@@ -11,6 +11,7 @@ export class CloneManager {
         this.useSegmentation = false; // Person-only clones
         this.frameBufferScale = 1.0; // Performance scaling
         this.particlePositions = []; // Track particles for smoke effects
+        this.onEvent = null; // Called with (type, data) on spawn / dismiss
     }
 
     /**
@@ -63,6 +64,13 @@ export class CloneManager {
         // Store positions for particle effects
         this.particlePositions = positions.map(p => ({ ...p, type: 'spawn' }));
 
+        if (this.onEvent) {
+            this.onEvent('spawn', {
+                count: cloneCount,
+                positions: positions.slice(0, cloneCount).map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }))
+            });
+        }
+
         console.log(`Spawned ${cloneCount} clones`);
         return this.clones;
     }
@@ -147,6 +155,10 @@ export class CloneManager {
         // Store positions for particle effects
         this.particlePositions = this.clones.map(c => ({ x: c.x, y: c.y, type: 'dismiss' }));
 
+        if (this.onEvent) {
+            this.onEvent('dismiss', { count });
+        }
+
         // Will be removed once animation completes
         console.log('Dismissing clones');
     }
@@ -195,10 +207,10 @@ export class CloneManager {
      * @param {HTMLCanvasElement} sourceCanvas - Canvas to copy from
      */
     addFrame(sourceCanvas) {
-        // Create a canvas snapshot
+        // Create a canvas snapshot (video elements report their frame size as videoWidth / videoHeight)
         const snapshot = document.createElement('canvas');
-        snapshot.width = sourceCanvas.width;
-        snapshot.height = sourceCanvas.height;
+        snapshot.width = sourceCanvas.videoWidth || sourceCanvas.width;
+        snapshot.height = sourceCanvas.videoHeight || sourceCanvas.height;
         const ctx = snapshot.getContext('2d');
         ctx.drawImage(sourceCanvas, 0, 0);
 
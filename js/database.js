@@ -0,0 +1,87 @@
+// database.js - Shared IndexedDB Connection
+
+const DB_NAME = 'clone-recorder';
+const DB_VERSION = 2;
+
+export const STORES = {
+    takes: 'takes',
+    sessions: 'sessions',
+    chunks: 'chunks'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the app database
+ * The connection is shared, so every module sees the same schema version
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains(STORES.takes)) {
+                const takes = db.createObjectStore(STORES.takes, { keyPath: 'id', autoIncrement: true });
+                takes.createIndex('createdAt', 'createdAt');
+            }
+
+            // In-progress recordings, streamed chunk by chunk for crash recovery
+            if (!db.objectStoreNames.contains(STORES.sessions)) {
+                db.createObjectStore(STORES.sessions, { keyPath: 'id', autoIncrement: true });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.chunks)) {
+                const chunks = db.createObjectStore(STORES.chunks, { keyPath: ['sessionId', 'index'] });
+                chunks.createIndex('sessionId', 'sessionId');
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Let a newer version of the app in another tab upgrade the schema
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+
+    // Allow a retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a Promise
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+export function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
@@ -4,10 +4,26 @@ export class GestureDetector {
     constructor() {
         this.hands = null;
         this.onGestureDetected = null;
+        this.onGestureEvent = null; // Called with (phase, gestureType) - 'hold', 'cancel' or 'trigger'
         this.confidenceThreshold = 0.8;
         this.holdDuration = 500; // ms
         this.cooldownDuration = 2000; // ms
         this.lastGestureTime = 0;
+        this.recordingGesturesEnabled = true;
+        this.photoGestureEnabled = true;
+        this.mirrored = false; // Selfie mode: landmarks match the mirrored preview
+        this.armedGesture = null; // Recording gesture detected even when recording gestures are off
+
+        // Per-gesture timing; cooldown counts from the last triggered gesture of any type.
+        // Recording controls need a longer hold so a clone seal can't stop a take by accident.
+        this.gestureConfig = {
+            spawn: { holdDuration: 500, cooldown: 2000 },
+            dismiss: { holdDuration: 500, cooldown: 2000 },
+            record: { holdDuration: 1000, cooldown: 3000 },
+            stop: { holdDuration: 1500, cooldown: 3000 },
+            pause: { holdDuration: 1000, cooldown: 2000 },
+            photo: { holdDuration: 800, cooldown: 2000 }
+        };
         this.currentGestureStart = null;
         this.currentGestureType = null;
         this.isTracking = false;
@@ -33,7 +49,8 @@ export class GestureDetector {
                 maxNumHands: 2,
                 modelComplexity: 1,
                 minDetectionConfidence: 0.7,
-                minTrackingConfidence: 0.7
+                minTrackingConfidence: 0.7,
+                selfieMode: this.mirrored
             });
 
             // Set up results callback
@@ -71,8 +88,7 @@ export class GestureDetector {
     onResults(results) {
         if (!results.multiHandLandmarks || results.multiHandLandmarks.length === 0) {
             // No hand detected - reset gesture tracking
-            this.currentGestureStart = null;
-            this.currentGestureType = null;
+            this.resetGestureTracking();
             return;
         }
 
@@ -83,6 +99,21 @@ export class GestureDetector {
             return;
         }
 
+        // Check for recording control gestures
+        if (this.recordingGesturesEnabled || this.armedGesture) {
+            const control = this.detectRecordingGesture(results.multiHandLandmarks);
+            if (control && (this.recordingGesturesEnabled || control === this.armedGesture)) {
+                this.handleGestureTracking(control);
+                return;
+            }
+        }
+
+        // Check for photo gesture (V sign on any hand)
+        if (this.photoGestureEnabled && results.multiHandLandmarks.some(landmarks => this.detectVSign(landmarks))) {
+            this.handleGestureTracking('photo');
+            return;
+        }
+
         // Check for Dismiss gesture (open palm on any hand)
         for (let i = 0; i < results.multiHandLandmarks.length; i++) {
             if (this.detectOpenPalm(results.multiHandLandmarks[i])) {
@@ -91,10 +122,30 @@ export class GestureDetector {
             }
         }
 
+        this.resetGestureTracking();
+    }
+
+    /**
+     * Drop a gesture that was released before its hold completed
+     */
+    resetGestureTracking() {
+        if (this.currentGestureType) {
+            this.emitGestureEvent('cancel', this.currentGestureType);
+        }
+
         this.currentGestureStart = null;
         this.currentGestureType = null;
     }
 
+    /**
+     * Report gesture tracking progress (for logging / debugging misfires)
+     */
+    emitGestureEvent(phase, gestureType) {
+        if (this.onGestureEvent) {
+            this.onGestureEvent(phase, gestureType);
+        }
+    }
+
     /**
      * Detect Shadow Clone Hand Seal (Crossed fingers)
      */
@@ -160,6 +211,81 @@ export class GestureDetector {
         return fingers.thumb && fingers.index && fingers.middle && fingers.ring && fingers.pinky;
     }
 
+    /**
+     * Detect a V sign (index and middle extended and spread apart, ring and pinky curled)
+     * Spread tips keep it distinct from the crossed-finger clone seal.
+     */
+    detectVSign(landmarks) {
+        const dist = (a, b) => Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+        const fingers = this.getFingerStates(landmarks);
+        if (!fingers.index || !fingers.middle || fingers.ring || fingers.pinky) return false;
+
+        const tipDistance = dist(landmarks[8], landmarks[12]);
+        const baseDistance = dist(landmarks[5], landmarks[9]);
+        return tipDistance > baseDistance * 1.8;
+    }
+
+    /**
+     * Detect recording control gestures on any hand
+     * @returns {string|null} 'record' (thumbs up), 'stop' (thumbs down), 'pause' (OK pinch) or null
+     */
+    detectRecordingGesture(multiLandmarks) {
+        for (const landmarks of multiLandmarks) {
+            if (this.detectPinch(landmarks)) {
+                return 'pause';
+            }
+
+            const thumb = this.detectThumbDirection(landmarks);
+            if (thumb === 'up') {
+                return 'record';
+            }
+            if (thumb === 'down') {
+                return 'stop';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect thumbs up / thumbs down (thumb extended vertically, other fingers curled)
+     * @returns {string|null} 'up', 'down' or null
+     */
+    detectThumbDirection(landmarks) {
+        const dist = (a, b) => Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+        const wrist = landmarks[0];
+        const handScale = dist(wrist, landmarks[9]);
+
+        // Curled fingers: tip is closer to the wrist than the middle joint (works for a sideways fist)
+        const fingersCurled = [[8, 6], [12, 10], [16, 14], [20, 18]]
+            .every(([tip, pip]) => dist(landmarks[tip], wrist) < dist(landmarks[pip], wrist));
+        if (!fingersCurled) return null;
+
+        const thumbTip = landmarks[4];
+        const thumbMCP = landmarks[2];
+        const thumbExtended = dist(thumbTip, landmarks[5]) > handScale * 0.6;
+        if (!thumbExtended) return null;
+
+        // Thumb must point mostly vertically
+        const dx = Math.abs(thumbTip.x - thumbMCP.x);
+        const dy = thumbTip.y - thumbMCP.y; // y grows downwards
+        if (Math.abs(dy) < handScale * 0.5 || Math.abs(dy) < dx * 1.5) return null;
+
+        return dy < 0 ? 'up' : 'down';
+    }
+
+    /**
+     * Detect an OK-sign pinch (thumb and index tips touching, other fingers extended)
+     */
+    detectPinch(landmarks) {
+        const dist = (a, b) => Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+        const handScale = dist(landmarks[0], landmarks[9]);
+        const fingers = this.getFingerStates(landmarks);
+
+        const tipsTouching = dist(landmarks[4], landmarks[8]) < handScale * 0.25;
+        return tipsTouching && fingers.middle && fingers.ring && fingers.pinky;
+    }
+
     /**
      * Get finger states (up/down)
      */
@@ -211,23 +337,27 @@ export class GestureDetector {
      */
     handleGestureTracking(gestureType) {
         const now = Date.now();
+        const config = this.getGestureConfig(gestureType);
 
         // Check cooldown
-        if (now - this.lastGestureTime < this.cooldownDuration) {
+        if (now - this.lastGestureTime < config.cooldown) {
             return;
         }
 
         // Start tracking new gesture
         if (this.currentGestureType !== gestureType) {
+            this.resetGestureTracking();
             this.currentGestureStart = now;
             this.currentGestureType = gestureType;
+            this.emitGestureEvent('hold', gestureType);
             return;
         }
 
         // Check if gesture held long enough
         const holdTime = now - this.currentGestureStart;
-        if (holdTime >= this.holdDuration) {
+        if (holdTime >= config.holdDuration) {
             // Trigger gesture
+            this.emitGestureEvent('trigger', gestureType);
             if (this.onGestureDetected) {
                 this.onGestureDetected(gestureType);
             }
@@ -248,10 +378,67 @@ export class GestureDetector {
 
     setHoldDuration(duration) {
         this.holdDuration = duration;
+        this.gestureConfig.spawn.holdDuration = duration;
+        this.gestureConfig.dismiss.holdDuration = duration;
     }
 
     setCooldownDuration(duration) {
         this.cooldownDuration = duration;
+        this.gestureConfig.spawn.cooldown = duration;
+        this.gestureConfig.dismiss.cooldown = duration;
+    }
+
+    /**
+     * Override hold duration / cooldown for one gesture
+     * @param {string} gestureType - 'spawn', 'dismiss', 'record', 'stop', 'pause' or 'photo'
+     * @param {Object} config - { holdDuration, cooldown } (ms)
+     */
+    setGestureConfig(gestureType, config) {
+        this.gestureConfig[gestureType] = { ...this.getGestureConfig(gestureType), ...config };
+    }
+
+    /**
+     * Get timing for a gesture (falls back to the shared defaults)
+     */
+    getGestureConfig(gestureType) {
+        return this.gestureConfig[gestureType] || {
+            holdDuration: this.holdDuration,
+            cooldown: this.cooldownDuration
+        };
+    }
+
+    /**
+     * Enable/disable record, stop and pause gestures
+     */
+    setRecordingGesturesEnabled(enabled) {
+        this.recordingGesturesEnabled = enabled;
+    }
+
+    /**
+     * Enable/disable the V-sign photo gesture
+     */
+    setPhotoGestureEnabled(enabled) {
+        this.photoGestureEnabled = enabled;
+    }
+
+    /**
+     * Match landmark coordinates (and handedness) to a mirrored preview
+     */
+    setMirrored(enabled) {
+        this.mirrored = enabled;
+
+        if (this.hands) {
+            this.hands.setOptions({ selfieMode: enabled });
+        }
+    }
+
+    /**
+     * Listen for one recording gesture regardless of the recording gestures setting
+     * (used to arm a gesture-started countdown)
+     * @param {string|null} gestureType - 'record', 'pause', or null to disarm
+     */
+    setArmedGesture(gestureType) {
+        this.armedGesture = gestureType;
     }
 
     /**
@@ -263,7 +450,8 @@ export class GestureDetector {
         }
 
         const elapsed = Date.now() - this.currentGestureStart;
-        const progress = Math.min(elapsed / this.holdDuration, 1);
+        const { holdDuration } = this.getGestureConfig(this.currentGestureType);
+        const progress = Math.min(elapsed / holdDuration, 1);
 
         return {
             type: this.currentGestureType,
@@ -0,0 +1,319 @@
+// library-view.js - Take Gallery UI
+
+import { VideoRecorder } from './recorder.js';
+import { shareBlob } from './share.js';
+import { TakeTimeline } from './take-timeline.js';
+
+export class LibraryView {
+    /**
+     * @param {TakeLibrary} library
+     * @param {Object} elements - { modal, list, emptyState, player, photo, playerTitle, playerSection, importBtn, importInput }
+     */
+    constructor(library, elements) {
+        this.library = library;
+        this.elements = elements;
+        this.objectURLs = [];
+        this.playerURL = null;
+        this.renderToken = 0; // Drops list results from an older render() that finished late
+        this.onTrim = null; // Called with the take to open in the trim editor
+
+        this.elements.importBtn.addEventListener('click', () => this.elements.importInput.click());
+        this.elements.importInput.addEventListener('change', async (e) => {
+            await this.importFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
+        this.library.onChange = () => {
+            if (this.isOpen()) {
+                this.render();
+            }
+        };
+
+        // Stop playback when the modal is hidden
+        new MutationObserver(() => {
+            if (!this.isOpen()) {
+                this.closePlayer();
+            }
+        }).observe(this.elements.modal, { attributes: true, attributeFilter: ['class'] });
+    }
+
+    /**
+     * Check if the gallery modal is visible
+     */
+    isOpen() {
+        return !this.elements.modal.classList.contains('hidden');
+    }
+
+    /**
+     * Show the gallery
+     */
+    async open() {
+        this.elements.modal.classList.remove('hidden');
+        await this.render();
+    }
+
+    /**
+     * Render the take list
+     */
+    async render() {
+        const { list, emptyState } = this.elements;
+        const token = ++this.renderToken;
+
+        if (!this.library.isAvailable()) {
+            this.revokeObjectURLs();
+            list.replaceChildren();
+            emptyState.textContent = 'Local storage is unavailable in this browser.';
+            emptyState.classList.remove('hidden');
+            return;
+        }
+
+        // Several imports each trigger a render - only the newest one may touch the list
+        const takes = await this.library.getAll();
+        if (token !== this.renderToken) return;
+
+        this.revokeObjectURLs();
+        list.replaceChildren();
+        emptyState.textContent = 'No takes yet. Finished recordings and photos will appear here.';
+        emptyState.classList.toggle('hidden', takes.length > 0);
+
+        for (const take of takes) {
+            list.appendChild(this.createTakeItem(take));
+        }
+    }
+
+    /**
+     * Build a list item for a take
+     */
+    createTakeItem(take) {
+        const item = document.createElement('li');
+        item.className = 'take-item';
+
+        const thumb = document.createElement('div');
+        thumb.className = 'take-thumb';
+        if (take.thumbnail) {
+            const img = document.createElement('img');
+            img.src = this.createObjectURL(take.thumbnail);
+            img.alt = '';
+            thumb.appendChild(img);
+        }
+        item.appendChild(thumb);
+
+        const info = document.createElement('div');
+        info.className = 'take-info';
+
+        const name = document.createElement('strong');
+        name.className = 'take-name';
+        name.textContent = take.name;
+        info.appendChild(name);
+
+        const isPhoto = take.kind === 'photo';
+        const meta = document.createElement('span');
+        meta.className = 'take-meta';
+        meta.textContent = [
+            isPhoto ? LibraryView.formatDimensions(take.dimensions) : VideoRecorder.formatDuration(take.duration),
+            LibraryView.formatSize(take.size),
+            VideoRecorder.getFileExtension(take.mimeType).toUpperCase(),
+            new Date(take.createdAt).toLocaleString()
+        ].join(' · ');
+        info.appendChild(meta);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'take-actions';
+        if (isPhoto) {
+            actions.appendChild(this.createActionButton('View', () => this.playTake(take)));
+        } else {
+            actions.append(
+                this.createActionButton('Play', () => this.playTake(take)),
+                this.createActionButton('Trim', () => this.onTrim && this.onTrim(take))
+            );
+        }
+
+        actions.append(
+            this.createActionButton('Rename', () => this.renameTake(take)),
+            this.createActionButton('Share', () => this.shareTake(take)),
+            this.createActionButton('Download', () => this.downloadTake(take))
+        );
+
+        if (take.timeline) {
+            actions.appendChild(this.createActionButton('Timeline', () => this.downloadTimeline(take)));
+        }
+
+        actions.appendChild(this.createActionButton('Delete', () => this.deleteTake(take), 'danger'));
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * Build a small action button
+     */
+    createActionButton(label, onClick, variant = '') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `take-action ${variant}`.trim();
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Play a take (or show a photo) in the gallery player
+     */
+    playTake(take) {
+        this.closePlayer();
+
+        this.playerURL = URL.createObjectURL(take.blob);
+        this.elements.playerTitle.textContent = take.name;
+        this.elements.playerSection.classList.remove('hidden');
+
+        if (take.kind === 'photo') {
+            this.elements.photo.src = this.playerURL;
+            this.elements.photo.classList.remove('hidden');
+            this.elements.player.classList.add('hidden');
+            return;
+        }
+
+        this.elements.player.src = this.playerURL;
+        this.elements.player.classList.remove('hidden');
+        this.elements.player.play().catch(error => console.warn('Playback failed:', error));
+    }
+
+    /**
+     * Stop and hide the gallery player
+     */
+    closePlayer() {
+        this.elements.player.pause();
+        this.elements.player.removeAttribute('src');
+        this.elements.player.load();
+        this.elements.photo.removeAttribute('src');
+        this.elements.photo.classList.add('hidden');
+        this.elements.playerSection.classList.add('hidden');
+
+        if (this.playerURL) {
+            URL.revokeObjectURL(this.playerURL);
+            this.playerURL = null;
+        }
+    }
+
+    /**
+     * Rename a take
+     */
+    async renameTake(take) {
+        const name = prompt('Rename take', take.name);
+        if (name === null || !name.trim()) return;
+
+        try {
+            await this.library.rename(take.id, name.trim());
+        } catch (error) {
+            console.error('Rename failed:', error);
+            alert('Failed to rename take: ' + error.message);
+        }
+    }
+
+    /**
+     * Download a take
+     */
+    downloadTake(take) {
+        VideoRecorder.downloadBlob(take.blob, LibraryView.toFilename(take.name));
+    }
+
+    /**
+     * Download a take's timeline as a JSON sidecar
+     */
+    downloadTimeline(take) {
+        VideoRecorder.downloadBlob(TakeTimeline.toBlob(take.timeline), `${LibraryView.toFilename(take.name)}.timeline`);
+    }
+
+    /**
+     * Share a take (falls back to download)
+     */
+    async shareTake(take) {
+        await shareBlob(take.blob, LibraryView.toFilename(take.name), take.name);
+    }
+
+    /**
+     * Import video files into the library and show them
+     * @param {File[]} files
+     */
+    async importFiles(files) {
+        if (files.length === 0) return;
+
+        if (!this.library.isAvailable()) {
+            alert('Local storage is unavailable in this browser - videos cannot be imported.');
+            return;
+        }
+
+        const failed = [];
+        for (const file of files) {
+            try {
+                await this.library.importFile(file);
+            } catch (error) {
+                console.error('Import failed:', error);
+                failed.push(file.name);
+            }
+        }
+
+        if (failed.length > 0) {
+            alert(`Could not import: ${failed.join(', ')}`);
+        }
+
+        await this.open();
+    }
+
+    /**
+     * Delete a take after confirmation
+     */
+    async deleteTake(take) {
+        if (!confirm(`Delete "${take.name}"? This cannot be undone.`)) return;
+
+        try {
+            await this.library.delete(take.id);
+        } catch (error) {
+            console.error('Delete failed:', error);
+            alert('Failed to delete take: ' + error.message);
+        }
+    }
+
+    /**
+     * Create an object URL that is revoked on the next render
+     */
+    createObjectURL(blob) {
+        const url = URL.createObjectURL(blob);
+        this.objectURLs.push(url);
+        return url;
+    }
+
+    /**
+     * Revoke thumbnail URLs from the previous render
+     */
+    revokeObjectURLs() {
+        this.objectURLs.forEach(url => URL.revokeObjectURL(url));
+        this.objectURLs = [];
+    }
+
+    /**
+     * Format byte size as KB/MB
+     */
+    static formatSize(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(0)} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Format photo dimensions for display
+     */
+    static formatDimensions(dimensions) {
+        return dimensions ? `${dimensions.width}x${dimensions.height}` : 'Photo';
+    }
+
+    /**
+     * Turn a take name into a safe file name
+     */
+    static toFilename(name) {
+        return name.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'clone-recording';
+    }
+}
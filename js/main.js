@@ -1,12 +1,48 @@
 // main.js - Application Entry Point and Coordination
 
 import { CameraManager } from './camera.js';
+import { CameraControlsPanel } from './camera-controls-panel.js';
 import { GestureDetector } from './gesture-detector.js';
 import { CloneManager } from './clone-manager.js';
 import { EffectRenderer } from './video_effects/effect-renderer.js';
 import { VideoRecorder } from './recorder.js';
+import { WebCodecsRecorder } from './webcodecs-recorder.js';
 import { PerformanceManager } from './performance-manager.js';
+import { AdaptiveQualityController } from './adaptive-quality.js';
 import { SegmentationManager } from './video_effects/segmentation.js';
+import { OutputCompositor } from './video_effects/output-compositor.js';
+import { MAX_LOGO_BYTES } from './video_effects/overlay-layer.js';
+import { AudioInputManager } from './audio-input.js';
+import { AudioCues } from './audio-cues.js';
+import { TakeLibrary } from './take-library.js';
+import { LibraryView } from './library-view.js';
+import { RecordingSessionStore } from './session-store.js';
+import { TrimEditor } from './trim-editor.js';
+import { ClipExportView } from './clip_export/clip-export-view.js';
+import { ReplayBuffer } from './replay-buffer.js';
+import { shareBlob, takeSharedFiles, handleLaunchedFiles } from './share.js';
+import { TakeTimeline } from './take-timeline.js';
+import { embedMp4Metadata } from './mp4-metadata.js';
+import { capturePhotos } from './photo-capture.js';
+
+// Hand signs that can start an armed countdown
+const START_SIGNS = {
+    record: '👍',
+    pause: '👌',
+    dismiss: '✋'
+};
+
+// Slow motion needs at least 2x the 30 FPS playback rate; rendering can't usefully exceed 120
+const MIN_SLOWMO_FPS = 60;
+const MAX_SLOWMO_FPS = 120;
+// Render rate measured at 59.x on a 60 Hz display still counts as fast enough
+const SLOWMO_RENDER_SLACK = 0.9;
+
+// Logo kept apart from the settings object, which is copied into every take timeline
+const WATERMARK_STORAGE_KEY = 'cloneRecorderWatermark';
+
+// Per-camera zoom / exposure / white balance values, keyed by device id
+const CAMERA_CONTROLS_STORAGE_KEY = 'cloneRecorderCameraControls';
 
 class CloneRecorderApp {
     constructor() {
@@ -16,48 +52,183 @@ class CloneRecorderApp {
         this.cloneManager = new CloneManager();
         this.performanceManager = new PerformanceManager();
         this.segmentationManager = new SegmentationManager();
+        this.audioInput = new AudioInputManager();
+        this.audioCues = new AudioCues();
+        this.takeLibrary = new TakeLibrary();
+        this.sessionStore = new RecordingSessionStore();
+        this.timeline = new TakeTimeline();
         this.renderer = null;
+        this.compositor = null;
         this.recorder = null;
+        this.replayBuffer = null;
+        this.adaptiveQuality = new AdaptiveQualityController({
+            getRenderFPS: () => this.renderer.getFPS(),
+            getDroppedFrames: () => this.recorder.droppedFrames || 0,
+            isPaused: () => this.recorder.isPaused
+        });
 
         // DOM elements
         this.elements = {
             canvas: document.getElementById('mainCanvas'),
+            safeAreaCanvas: document.getElementById('safeAreaCanvas'),
+            outputResolutionNote: document.getElementById('outputResolutionNote'),
             video: document.getElementById('videoPreview'),
             loadingOverlay: document.getElementById('loadingOverlay'),
             loadingMessage: document.getElementById('loadingMessage'),
             recordBtn: document.getElementById('recordBtn'),
             stopBtn: document.getElementById('stopBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            resumeBtn: document.getElementById('resumeBtn'),
             downloadBtn: document.getElementById('downloadBtn'),
+            shareBtn: document.getElementById('shareBtn'),
+            exportClipBtn: document.getElementById('exportClipBtn'),
+            replayBtn: document.getElementById('replayBtn'),
+            photoBtn: document.getElementById('photoBtn'),
+            photoFlash: document.getElementById('photoFlash'),
             fpsCounter: document.getElementById('fpsCounter'),
             fpsValue: document.getElementById('fpsValue'),
             cloneCount: document.getElementById('cloneCount'),
             recordingIndicator: document.getElementById('recordingIndicator'),
+            recordingLabel: document.getElementById('recordingLabel'),
             recordingTime: document.getElementById('recordingTime'),
+            speedMode: document.getElementById('speedMode'),
+            recordingSegment: document.getElementById('recordingSegment'),
+            limitProgress: document.getElementById('limitProgress'),
+            limitProgressFill: document.getElementById('limitProgressFill'),
+            audioMeter: document.getElementById('audioMeter'),
+            audioMeterFill: document.getElementById('audioMeterFill'),
             countdownOverlay: document.getElementById('countdownOverlay'),
             countdownNumber: document.getElementById('countdownNumber'),
+            countdownHint: document.getElementById('countdownHint'),
+            cameraLostOverlay: document.getElementById('cameraLostOverlay'),
+            cameraLostTitle: document.getElementById('cameraLostTitle'),
+            cameraLostStatus: document.getElementById('cameraLostStatus'),
             helpBtn: document.getElementById('helpBtn'),
             settingsBtn: document.getElementById('settingsBtn'),
+            libraryBtn: document.getElementById('libraryBtn'),
+            switchCameraBtn: document.getElementById('switchCameraBtn'),
             helpModal: document.getElementById('helpModal'),
-            settingsModal: document.getElementById('settingsModal')
+            settingsModal: document.getElementById('settingsModal'),
+            libraryModal: document.getElementById('libraryModal')
         };
 
+        this.libraryView = new LibraryView(this.takeLibrary, {
+            modal: this.elements.libraryModal,
+            list: document.getElementById('takeList'),
+            emptyState: document.getElementById('libraryEmpty'),
+            player: document.getElementById('libraryPlayer'),
+            photo: document.getElementById('libraryPhoto'),
+            playerTitle: document.getElementById('libraryPlayerTitle'),
+            playerSection: document.getElementById('libraryPlayerSection'),
+            importBtn: document.getElementById('importBtn'),
+            importInput: document.getElementById('importInput')
+        });
+        this.libraryView.onTrim = (take) => this.reviewTake(take);
+
+        this.cameraControlsPanel = new CameraControlsPanel(document.getElementById('cameraControls'));
+        this.cameraControlsPanel.onChange = (name, value, final) => this.setCameraControl(name, value, final);
+
+        this.trimEditor = new TrimEditor({
+            modal: document.getElementById('reviewModal'),
+            player: document.getElementById('reviewPlayer'),
+            strip: document.getElementById('trimStrip'),
+            thumbnails: document.getElementById('trimThumbnails'),
+            selection: document.getElementById('trimSelection'),
+            playhead: document.getElementById('trimPlayhead'),
+            inRange: document.getElementById('trimIn'),
+            outRange: document.getElementById('trimOut'),
+            inLabel: document.getElementById('trimInLabel'),
+            outLabel: document.getElementById('trimOutLabel'),
+            lengthLabel: document.getElementById('trimLengthLabel'),
+            setInBtn: document.getElementById('trimSetInBtn'),
+            setOutBtn: document.getElementById('trimSetOutBtn'),
+            playRangeBtn: document.getElementById('trimPlayRangeBtn'),
+            exportBtn: document.getElementById('trimExportBtn'),
+            clipBtn: document.getElementById('trimClipBtn')
+        });
+        this.trimEditor.onExport = (blob, details) => this.saveTrimmedTake(blob, details);
+        this.trimEditor.onExportClip = (source) => this.clipExportView.open(source);
+
+        this.clipExportView = new ClipExportView({
+            modal: document.getElementById('clipExportModal'),
+            range: document.getElementById('clipRange'),
+            format: document.getElementById('clipFormat'),
+            fps: document.getElementById('clipFps'),
+            fpsValue: document.getElementById('clipFpsValue'),
+            width: document.getElementById('clipWidth'),
+            loop: document.getElementById('clipLoop'),
+            dither: document.getElementById('clipDither'),
+            ditherRow: document.getElementById('clipDitherRow'),
+            estimate: document.getElementById('clipEstimate'),
+            exportBtn: document.getElementById('clipExportBtn')
+        });
+
         // Settings
         this.settings = {
             showFPS: false,
             cloneCountOverride: 0, // 0 = auto
             gestureSensitivity: 0.8,
             enableAudio: false,
-            videoQuality: '720'
+            videoQuality: '720',
+            fitMode: 'cover', // 'cover', 'contain' or 'letterbox' when the canvas and camera aspect differ
+            screenLayout: 'bottom-right', // Where the camera sits over a screen capture
+            screenSubjectSize: 30, // Camera layer width over a screen capture, % of the canvas
+            cameraDeviceId: null, // Preferred camera (null = browser default)
+            mirrorMode: 'auto', // 'auto' (front cameras), 'on' or 'off'
+            mirrorRecording: false, // Keep the mirrored view in recordings and photos
+            recordingBackend: 'mediarecorder', // 'mediarecorder' (WebM) or 'webcodecs' (MP4)
+            maxDurationMinutes: 0, // 0 = unlimited
+            maxFileSizeMB: 0, // 0 = unlimited
+            limitAction: 'stop', // 'stop' or 'split'
+            replayEnabled: false,
+            replaySeconds: 15,
+            recordingGestures: true,
+            speedMode: 'normal', // 'normal', 'slowmo' or 'timelapse'
+            timelapseInterval: 10, // Keep every Nth frame
+            photoFormat: 'png', // 'png' or 'jpeg'
+            burstCount: 1, // Photos per capture (1 = single shot)
+            burstWindow: 1000, // ms the burst is spread over
+            photoGesture: true, // ✌️ V sign takes a photo
+            adaptiveQuality: true, // Lower bitrate / FPS mid-take when the device struggles (WebCodecs)
+            countdownSeconds: 3, // 0, 3, 5 or 10
+            countdownBeeps: true,
+            gestureStart: false, // Arm the countdown, then start it with a held hand sign
+            gestureStartSign: 'record', // 'record' (👍), 'pause' (👌) or 'dismiss' (✋)
+            embedTimeline: false, // Also write the timeline into MP4 files
+            outputAspect: 'native', // 'native', '9:16', '1:1' or '16:9'
+            outputResolution: 1080, // Short side of framed output
+            framing: 'center', // 'center', 'pan' or 'auto'
+            framingPan: 0, // -1 to 1
+            showSafeArea: true,
+            watermarkType: 'none', // 'none', 'image' or 'text'
+            watermarkText: '',
+            watermarkPosition: 'bottom-right',
+            watermarkSize: 15, // % of frame width
+            watermarkOpacity: 80, // %
+            watermarkMargin: 3 // % of frame short side
         };
 
         // State
         this.isInitialized = false;
         this.isRecording = false;
+        this.isCapturingPhoto = false;
+        this.countdownState = null; // null, 'armed' (waiting for hand sign) or 'counting'
+        this.pausedForCamera = false; // Take paused automatically while the camera reconnects
+        this.slowmoCameraFps = 0; // Frame rate the camera delivers for slow motion
+        this.recordingName = null; // Shared name for split segments
+        this.segmentStart = 0; // Recorded time (ms) where the current segment begins
+        this.savedSettings = null; // Last persisted settings, for timeline diffs
         this.animationFrameId = null;
         this.measuredFPS = 60;
 
         // Load settings from localStorage
         this.loadSettings();
+
+        // Feed the take timeline
+        this.gestureDetector.onGestureEvent = (phase, gesture) => this.timeline.log('gesture', { phase, gesture });
+        this.cloneManager.onEvent = (type, data) => this.timeline.log(type, data);
+        this.performanceManager.onTierChange = (tier) => this.timeline.log('tier', { tier });
+        this.adaptiveQuality.onAdjust = (encoding, details) => this.onQualityAdjust(encoding, details);
     }
 
     /**
@@ -68,7 +239,11 @@ class CloneRecorderApp {
             this.updateLoadingMessage('Requesting camera access...');
 
             // Initialize camera
+            this.camera.deviceId = this.settings.cameraDeviceId;
+            this.camera.mirrorMode = this.settings.mirrorMode;
+            this.camera.controlPresets = this.loadCameraControls();
             await this.camera.init(this.elements.video);
+            await this.camera.listCameras();
 
             // Get video dimensions and resize canvas
             const { width, height } = this.camera.getVideoDimensions();
@@ -77,22 +252,38 @@ class CloneRecorderApp {
             // Initialize renderer
             this.renderer = new EffectRenderer(this.elements.canvas, this.elements.video, this.segmentationManager);
             this.renderer.resize(width, height);
+            this.renderer.setFitMode(this.settings.fitMode);
+            this.renderer.setSubjectLayout(this.settings.screenLayout, this.settings.screenSubjectSize / 100);
+            await this.loadWatermark();
 
             this.updateLoadingMessage('Initializing segmentation model...');
             await this.segmentationManager.init(this.elements.video);
 
-            // Initialize recorder
-            this.recorder = new VideoRecorder(this.elements.canvas);
-            this.recorder.setEnableAudio(this.settings.enableAudio);
+            // Framed output surface for recording (9:16, 1:1, 16:9)
+            this.compositor = new OutputCompositor(this.elements.canvas, this.segmentationManager);
+            this.compositor.videoToCanvas = (point) => this.renderer.videoToCanvas(point);
+            this.applyMirror();
+            this.compositor.setProfile(this.settings.outputAspect, this.settings.outputResolution);
+            this.compositor.setFraming(this.settings.framing, this.settings.framingPan);
 
-            // Set up recorder callbacks
-            this.recorder.onRecordingStart = () => this.onRecordingStart();
-            this.recorder.onRecordingStop = (duration) => this.onRecordingStop(duration);
-            this.recorder.onTimeUpdate = (duration) => this.updateRecordingTime(duration);
+            // Initialize recorder
+            this.recorder = this.createRecorder(this.settings.recordingBackend);
+            await this.applyAudioSetting(this.settings.enableAudio);
+            await this.applySpeedMode();
+
+            // Open local take library (non-fatal if IndexedDB is unavailable)
+            try {
+                await this.takeLibrary.init();
+                await this.sessionStore.init();
+            } catch (error) {
+                console.warn('Take library unavailable:', error);
+            }
 
             this.updateLoadingMessage('Initializing gesture detection...');
 
             // Initialize gesture detector
+            this.gestureDetector.setRecordingGesturesEnabled(this.settings.recordingGestures);
+            this.gestureDetector.setPhotoGestureEnabled(this.settings.photoGesture);
             await this.gestureDetector.init(
                 this.elements.video,
                 (gestureType) => this.handleGesture(gestureType)
@@ -124,9 +315,31 @@ class CloneRecorderApp {
             // Start render loop
             this.startRenderLoop();
 
+            // Instant replay needs the performance tier for its memory budget
+            this.replayBuffer = new ReplayBuffer(this.getRecordingCanvas());
+            await this.applyReplaySetting(this.settings.replayEnabled);
+
+            // Camera hot-plug and recovery restart the pipeline, so only hook them up once it all exists
+            this.camera.onDevicesChange = (cameras, fallbackId) => this.onCamerasChanged(cameras, fallbackId);
+            this.camera.onTrackLost = (reason) => this.onCameraLost(reason);
+            this.camera.onReconnectAttempt = (attempt, delay) => this.onCameraReconnectAttempt(attempt, delay);
+            this.camera.onTrackRestored = (deviceId, isFallback) => this.onCameraRestored(deviceId, isFallback);
+            this.camera.onScreenCaptureEnded = () => this.onScreenCaptureEnded();
+            this.camera.watchDevices();
+            if (this.camera.reconnecting) {
+                this.onCameraLost('ended'); // Lost while loading - show the reconnect overlay now
+            }
+
             // Hide loading overlay
             this.hideLoading();
 
+            // Offer to restore takes interrupted by a crash or reload
+            await this.recoverUnfinishedSessions();
+
+            // Pick up videos shared to / opened with the installed app
+            await this.importSharedFiles();
+            handleLaunchedFiles((files) => this.libraryView.importFiles(files));
+
             // Enable record button
             this.elements.recordBtn.disabled = false;
 
@@ -142,9 +355,42 @@ class CloneRecorderApp {
         }
     }
 
+    /**
+     * Create the recording backend chosen in settings
+     * @param {string} backend - 'mediarecorder' (WebM) or 'webcodecs' (MP4)
+     */
+    createRecorder(backend) {
+        const useWebCodecs = backend === 'webcodecs' && WebCodecsRecorder.isSupported();
+        if (backend === 'webcodecs' && !useWebCodecs) {
+            console.warn('WebCodecs MP4 recording not supported - falling back to MediaRecorder');
+        }
+
+        const RecorderClass = useWebCodecs ? WebCodecsRecorder : VideoRecorder;
+        const recorder = new RecorderClass(this.getRecordingCanvas(), this.audioInput);
+        recorder.setSessionStore(this.sessionStore);
+
+        // Set up recorder callbacks
+        recorder.onRecordingStart = () => this.onRecordingStart();
+        recorder.onRecordingStop = (duration) => this.onRecordingStop(duration);
+        recorder.onRecordingPause = () => this.updatePauseState(true);
+        recorder.onRecordingResume = () => this.updatePauseState(false);
+        recorder.onSegmentComplete = (blob, duration, index) => this.saveSegment(blob, duration, index);
+        recorder.onRecordingError = (error) => {
+            alert('Recording stopped because the encoder failed: ' + error.message + '\n\nThe footage recorded so far has been kept.');
+        };
+        recorder.onTimeUpdate = (duration) => this.updateRecordingTime(duration);
+        this.applyLimits(recorder);
+
+        console.log(`Recording backend: ${useWebCodecs ? 'WebCodecs (MP4)' : 'MediaRecorder'}`);
+        return recorder;
+    }
+
     startRenderLoop() {
         const render = () => {
-            this.renderer.render(this.cloneManager);
+            // While the camera is lost the last good frame stays up behind the reconnect overlay
+            if (this.camera.isActive()) {
+                this.renderFrame();
+            }
 
             // Update FPS display
             if (this.settings.showFPS) {
@@ -155,6 +401,12 @@ class CloneRecorderApp {
             const count = this.cloneManager.getCloneCount();
             this.elements.cloneCount.querySelector('strong').textContent = count;
 
+            // Update microphone level meter
+            if (this.settings.enableAudio) {
+                const level = this.recorder.getAudioLevel();
+                this.elements.audioMeterFill.style.width = `${Math.round(level * 100)}%`;
+            }
+
             this.animationFrameId = requestAnimationFrame(render);
         };
 
@@ -167,10 +419,34 @@ class CloneRecorderApp {
     handleGesture(gestureType) {
         console.log('Gesture detected:', gestureType);
 
-        if (gestureType === 'spawn') {
+        if (this.countdownState === 'armed' && gestureType === this.settings.gestureStartSign) {
+            this.audioCues.armed();
+            this.runCountdown();
+        } else if (gestureType === 'spawn') {
             this.spawnClones();
         } else if (gestureType === 'dismiss') {
             this.dismissClones();
+        } else if (this.countdownState && ['record', 'stop', 'pause'].includes(gestureType)) {
+            // Thumbs down cancels a pending countdown; other recording gestures wait for it
+            if (gestureType === 'stop') {
+                this.cancelCountdown();
+            }
+        } else if (gestureType === 'record') {
+            if (this.isRecording && this.recorder.isPaused) {
+                this.resumeRecording();
+            } else {
+                this.startRecording(true);
+            }
+        } else if (gestureType === 'photo') {
+            this.takePhoto();
+        } else if (gestureType === 'stop') {
+            this.stopRecording();
+        } else if (gestureType === 'pause') {
+            if (this.recorder.isPaused) {
+                this.resumeRecording();
+            } else {
+                this.pauseRecording();
+            }
         }
     }
 
@@ -178,8 +454,10 @@ class CloneRecorderApp {
      * Spawn clones
      */
     spawnClones() {
-        const centerX = this.elements.canvas.width / 2;
-        const centerY = this.elements.canvas.height / 2;
+        // Around the camera layer (the picture-in-picture box over a screen capture)
+        const box = this.renderer.getCameraBox();
+        const centerX = box.x + box.width / 2;
+        const centerY = box.y + box.height / 2;
 
         const count = this.settings.cloneCountOverride || this.cloneManager.maxClones;
         this.cloneManager.spawnClones(centerX, centerY, count);
@@ -201,13 +479,41 @@ class CloneRecorderApp {
     }
 
     /**
-     * Start recording with countdown
+     * Start recording with countdown (or arm it for a gesture start)
+     * @param {boolean} fromGesture - Started by the record gesture, so no need to arm
      */
-    async startRecording() {
-        if (this.isRecording) return;
+    async startRecording(fromGesture = false) {
+        // Also guards repeated record gestures while a countdown is pending
+        if (this.isRecording || this.countdownState || this.elements.recordBtn.disabled) return;
+
+        if (!(await this.limitSlowmoToRenderRate())) return;
+
+        if (this.settings.gestureStart && !fromGesture) {
+            this.armCountdown();
+            return;
+        }
+
+        await this.runCountdown();
+    }
+
+    /**
+     * Wait for the chosen hand sign before counting down
+     */
+    armCountdown() {
+        this.countdownState = 'armed';
+        this.gestureDetector.setArmedGesture(this.settings.gestureStartSign);
+        this.setRecordButtonCancel(true);
+        this.showCountdown(START_SIGNS[this.settings.gestureStartSign], 'Hold the sign to start recording');
+        console.log(`Countdown armed - waiting for ${this.settings.gestureStartSign} gesture`);
+    }
 
-        // Disable record button
-        this.elements.recordBtn.disabled = true;
+    /**
+     * Run the countdown and start recording
+     */
+    async runCountdown() {
+        this.countdownState = 'counting';
+        this.gestureDetector.setArmedGesture(null);
+        this.setRecordButtonCancel(true);
 
         try {
             // Get adaptive FPS based on performance
@@ -216,18 +522,45 @@ class CloneRecorderApp {
 
             // Start recording with countdown and adaptive settings
             await this.recorder.startWithCountdown(targetFPS, (count) => {
-                this.showCountdown(count);
-            }, perfTier);
-
-            this.hideCountdown();
+                this.showCountdown(count, 'Tap Cancel or show 👎 to abort');
+                if (this.settings.countdownBeeps) {
+                    this.audioCues.countdown(count);
+                }
+            }, perfTier, this.settings.countdownSeconds);
 
         } catch (error) {
             console.error('Recording failed:', error);
             alert('Failed to start recording: ' + error.message);
-            this.elements.recordBtn.disabled = false;
+        } finally {
+            this.countdownState = null;
+            this.hideCountdown();
+            this.setRecordButtonCancel(false);
+        }
+    }
+
+    /**
+     * Cancel an armed or running countdown
+     */
+    cancelCountdown() {
+        if (this.countdownState === 'armed') {
+            this.countdownState = null;
+            this.gestureDetector.setArmedGesture(null);
+            this.hideCountdown();
+            this.setRecordButtonCancel(false);
+            console.log('Countdown disarmed');
+        } else if (this.countdownState === 'counting') {
+            this.recorder.cancelCountdown();
         }
     }
 
+    /**
+     * Turn the record button into a cancel button while a countdown is pending
+     */
+    setRecordButtonCancel(cancel) {
+        this.elements.recordBtn.classList.toggle('cancel', cancel);
+        this.elements.recordBtn.querySelector('span').textContent = cancel ? 'Cancel' : 'Record';
+    }
+
     /**
      * Recording started callback
      */
@@ -237,6 +570,261 @@ class CloneRecorderApp {
         this.elements.stopBtn.classList.remove('hidden');
         this.elements.stopBtn.disabled = false;
         this.elements.recordingIndicator.classList.remove('hidden');
+        this.elements.recordingSegment.classList.add('hidden');
+        this.elements.speedMode.disabled = true;
+        this.elements.limitProgress.classList.toggle('hidden', !this.recorder.hasLimits());
+        this.elements.limitProgressFill.style.width = '0%';
+        this.recordingName = TakeLibrary.defaultName(Date.now());
+        this.segmentStart = 0;
+        this.pausedForCamera = false;
+        this.updatePauseState(false);
+
+        // File input plays from the top so takes of the same clip line up
+        this.camera.restartFile();
+
+        this.timeline.start(() => this.recorder.getElapsed(), {
+            tier: this.performanceManager.getTier(),
+            backend: this.recorder instanceof WebCodecsRecorder ? 'webcodecs' : 'mediarecorder',
+            canvas: { width: this.getRecordingCanvas().width, height: this.getRecordingCanvas().height },
+            output: this.compositor.isCropped() ? this.settings.outputAspect : 'native',
+            mirror: { preview: this.camera.mirror, recording: this.camera.mirror && !this.compositor.flip },
+            input: {
+                ...(this.camera.isFileSource() ? { source: 'file', name: this.camera.fileName } : { source: 'camera' }),
+                screen: this.camera.isScreenCapture() ? this.settings.screenLayout : false
+            },
+            encoding: this.recorder.encoding,
+            speed: { mode: this.settings.speedMode, ratio: this.recorder.getSpeedRatio() },
+            settings: { ...this.settings }
+        });
+
+        this.startAdaptiveQuality();
+    }
+
+    /**
+     * Draw one frame of the scene and the framed output
+     */
+    renderFrame() {
+        // Overlays are placed inside the framed output so preview and recording match
+        const outputFrame = this.compositor.updateCrop();
+
+        // Flipping the output would mirror the watermark, so then it's drawn on each side of the flip
+        const overlayAfterFlip = this.compositor.flip;
+        this.renderer.render(this.cloneManager, outputFrame, !overlayAfterFlip);
+
+        // Crop the framed output and refresh the preview guides
+        if (this.compositor.isActive()) {
+            this.compositor.render(overlayAfterFlip ? this.renderer.overlayLayer : null);
+            if (this.settings.showSafeArea) {
+                this.compositor.drawGuides(this.elements.safeAreaCanvas);
+            }
+        }
+
+        if (overlayAfterFlip) {
+            this.renderer.renderOverlay(outputFrame);
+        }
+    }
+
+    /**
+     * Capture a photo (or burst) of the composited scene into the library
+     * Uses the full-resolution preview canvas, cropped to the output framing when one is active.
+     * When recordings are flipped relative to the preview, photos come from the output instead so they match.
+     */
+    async takePhoto() {
+        if (this.isCapturingPhoto) return;
+
+        this.isCapturingPhoto = true;
+        this.elements.photoBtn.disabled = true;
+        this.flashPhoto();
+
+        try {
+            const fromOutput = this.compositor.flip;
+            const photos = await capturePhotos(fromOutput ? this.compositor.canvas : this.elements.canvas, {
+                count: this.settings.burstCount,
+                window: this.settings.burstWindow,
+                format: this.settings.photoFormat,
+                getRect: () => !fromOutput && this.compositor.isCropped() ? this.compositor.cropRect : null
+            });
+            this.timeline.log('photo', { count: photos.length });
+
+            const baseName = TakeLibrary.defaultName(Date.now(), 'Photo');
+            for (const [index, photo] of photos.entries()) {
+                const name = photos.length > 1 ? `${baseName} (${index + 1}/${photos.length})` : baseName;
+
+                if (!this.takeLibrary.isAvailable()) {
+                    VideoRecorder.downloadBlob(photo.blob, LibraryView.toFilename(name));
+                    continue;
+                }
+
+                await this.takeLibrary.addPhoto(photo.blob, {
+                    name,
+                    thumbnail: photo.thumbnail,
+                    dimensions: { width: photo.width, height: photo.height }
+                });
+            }
+        } catch (error) {
+            console.error('Photo capture failed:', error);
+            alert('Failed to take photo: ' + error.message);
+        } finally {
+            this.isCapturingPhoto = false;
+            this.elements.photoBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Brief camera-flash feedback (DOM overlay, never part of the capture)
+     */
+    flashPhoto() {
+        const flash = this.elements.photoFlash;
+        flash.classList.remove('hidden');
+        flash.addEventListener('animationend', () => flash.classList.add('hidden'), { once: true });
+    }
+
+    /**
+     * Handle the speed selector in the record controls
+     * @param {string} value - 'normal', 'slowmo' or 'timelapse-<N>'
+     */
+    async changeSpeedMode(value) {
+        const [mode, interval] = value.split('-');
+
+        // Retimed output needs WebCodecs; offer to switch formats
+        if (mode !== 'normal' && !(this.recorder instanceof WebCodecsRecorder) && WebCodecsRecorder.isSupported()) {
+            if (!confirm('Slow motion and timelapse record MP4 (WebCodecs). Switch the recording format?')) {
+                await this.applySpeedMode(); // Restore the selector
+                return;
+            }
+
+            const recordingBackend = document.getElementById('recordingBackend');
+            recordingBackend.value = 'webcodecs';
+            recordingBackend.dispatchEvent(new Event('change'));
+        }
+
+        this.settings.speedMode = mode;
+        if (interval) {
+            this.settings.timelapseInterval = parseInt(interval);
+        }
+        this.saveSettings();
+        await this.applySpeedMode();
+    }
+
+    /**
+     * Configure camera frame rate and recorder for the chosen speed mode
+     * Falls back to normal speed when the camera or recording format can't do it.
+     */
+    async applySpeedMode() {
+        const mode = this.settings.speedMode;
+        this.elements.speedMode.value = mode === 'timelapse' ? `timelapse-${this.settings.timelapseInterval}` : mode;
+
+        let captureFps = 0;
+        if (mode === 'slowmo') {
+            captureFps = Math.min(this.camera.getMaxFrameRate(), MAX_SLOWMO_FPS);
+            if (captureFps < MIN_SLOWMO_FPS) {
+                return this.rejectSpeedMode(`Slow motion needs a camera that captures at least ${MIN_SLOWMO_FPS} FPS (this one reports ${captureFps || 'no'} FPS).`);
+            }
+
+            try {
+                captureFps = Math.min(Math.round(await this.camera.setFrameRate(captureFps)) || captureFps, MAX_SLOWMO_FPS);
+            } catch (error) {
+                console.warn('Failed to raise camera frame rate:', error);
+            }
+            this.slowmoCameraFps = captureFps;
+        } else {
+            await this.camera.setFrameRate(null).catch((error) => console.warn('Failed to reset camera frame rate:', error));
+        }
+
+        if (!this.recorder.setSpeedMode(mode, { captureFps, interval: this.settings.timelapseInterval })) {
+            return this.rejectSpeedMode('Slow motion and timelapse need the MP4 (WebCodecs) recording format.');
+        }
+
+        return true;
+    }
+
+    /**
+     * Capture slow motion no faster than the preview actually redraws
+     * The canvas only changes once per animation frame, so a faster capture timer just encodes duplicates.
+     * @returns {Promise<boolean>} Whether recording can go ahead
+     */
+    async limitSlowmoToRenderRate() {
+        if (this.settings.speedMode !== 'slowmo') return true;
+
+        const renderFps = Math.floor(this.renderer.getAverageFPS());
+        if (renderFps < MIN_SLOWMO_FPS * SLOWMO_RENDER_SLACK) {
+            return this.rejectSpeedMode(`Slow motion needs the preview to render at least ${MIN_SLOWMO_FPS} FPS (it is running at ${renderFps} FPS). Recording is set back to normal speed.`);
+        }
+
+        const captureFps = Math.min(this.slowmoCameraFps, renderFps);
+        this.recorder.setSpeedMode('slowmo', { captureFps });
+        console.log(`Slow motion capture: ${captureFps} FPS (camera ${this.slowmoCameraFps}, render ${renderFps})`);
+        return true;
+    }
+
+    /**
+     * Explain why a speed mode can't be used and go back to normal speed
+     */
+    async rejectSpeedMode(message) {
+        alert(message);
+        this.settings.speedMode = 'normal';
+        this.elements.speedMode.value = 'normal';
+        this.saveSettings();
+        this.recorder.setSpeedMode('normal');
+        await this.camera.setFrameRate(null).catch(() => {});
+        return false;
+    }
+
+    /**
+     * Watch render performance and adapt the encoder during the take
+     */
+    startAdaptiveQuality() {
+        if (!this.settings.adaptiveQuality) return;
+
+        if (!this.recorder.supportsLiveAdaptation()) {
+            console.log('Live quality adaptation needs the WebCodecs (MP4) backend - keeping fixed bitrate');
+            this.timeline.log('quality', { adaptive: false, reason: 'unsupported-backend' });
+            return;
+        }
+
+        this.adaptiveQuality.start(this.recorder.encoding);
+    }
+
+    /**
+     * Apply an adaptive quality step and record it in the take's timeline
+     */
+    onQualityAdjust(encoding, details) {
+        const applied = this.recorder.adjustEncoding(encoding);
+        this.timeline.log('quality', { ...encoding, ...details, applied });
+    }
+
+    /**
+     * Pause recording (e.g. to set up the next clone shot)
+     */
+    pauseRecording() {
+        if (!this.isRecording) return;
+        this.recorder.pause();
+    }
+
+    /**
+     * Resume a paused recording
+     */
+    resumeRecording() {
+        if (!this.isRecording) return;
+
+        // Resumes by itself once the camera is back
+        if (!this.camera.isActive()) {
+            console.warn('Camera is reconnecting - staying paused');
+            return;
+        }
+
+        this.recorder.resume();
+    }
+
+    /**
+     * Reflect paused / recording state in the controls and indicator
+     */
+    updatePauseState(paused) {
+        this.timeline.log(paused ? 'pause' : 'resume');
+        this.elements.pauseBtn.classList.toggle('hidden', paused);
+        this.elements.resumeBtn.classList.toggle('hidden', !paused);
+        this.elements.recordingIndicator.classList.toggle('paused', paused);
+        this.elements.recordingLabel.textContent = paused ? 'PAUSED' : 'REC';
     }
 
     /**
@@ -247,6 +835,8 @@ class CloneRecorderApp {
 
         this.recorder.stop();
         this.elements.stopBtn.disabled = true;
+        this.elements.pauseBtn.disabled = true;
+        this.elements.resumeBtn.disabled = true;
     }
 
     /**
@@ -255,12 +845,180 @@ class CloneRecorderApp {
     onRecordingStop(duration) {
         this.isRecording = false;
         this.elements.stopBtn.classList.add('hidden');
+        this.elements.pauseBtn.classList.add('hidden');
+        this.elements.resumeBtn.classList.add('hidden');
+        this.elements.pauseBtn.disabled = false;
+        this.elements.resumeBtn.disabled = false;
         this.elements.recordBtn.classList.remove('hidden');
         this.elements.recordBtn.disabled = false;
         this.elements.recordingIndicator.classList.add('hidden');
+        this.elements.recordingIndicator.classList.remove('paused');
+        this.elements.speedMode.disabled = false;
         this.elements.downloadBtn.classList.remove('hidden');
+        this.elements.shareBtn.classList.remove('hidden');
+        this.elements.exportClipBtn.classList.remove('hidden');
 
         console.log(`Recording complete: ${VideoRecorder.formatDuration(duration)}`);
+        this.adaptiveQuality.stop();
+
+        this.saveTake(duration);
+        this.timeline.stop();
+
+        // Open the review screen so the take can be trimmed right away
+        const videoURL = this.recorder.getVideoURL();
+        if (videoURL) {
+            this.trimEditor.open(videoURL, this.recorder.toOutputTime(duration)).catch((error) => {
+                console.error('Failed to open review:', error);
+            });
+        }
+    }
+
+    /**
+     * Open a library take in the trim editor
+     */
+    reviewTake(take) {
+        this.hideModal('libraryModal');
+        this.trimEditor.open(URL.createObjectURL(take.blob), take.duration).catch((error) => {
+            console.error('Failed to open review:', error);
+        });
+    }
+
+    /**
+     * Store and download a trimmed export
+     */
+    async saveTrimmedTake(blob, details) {
+        VideoRecorder.downloadBlob(blob, `clone-recorder-trim-${Date.now()}`);
+
+        if (!this.takeLibrary.isAvailable()) return;
+
+        try {
+            await this.takeLibrary.addTake(blob, {
+                name: `Trim ${TrimEditor.formatTime(details.inPoint)} - ${TrimEditor.formatTime(details.outPoint)}`,
+                duration: details.duration
+            });
+        } catch (error) {
+            console.error('Failed to save trimmed take:', error);
+        }
+    }
+
+    /**
+     * Embed a timeline in MP4 output when enabled (WebM keeps the sidecar only)
+     */
+    async attachTimeline(blob, timeline) {
+        if (!this.settings.embedTimeline || !blob.type.includes('mp4')) {
+            return blob;
+        }
+
+        try {
+            return await embedMp4Metadata(blob, timeline);
+        } catch (error) {
+            console.warn('Failed to embed timeline:', error);
+            return blob;
+        }
+    }
+
+    /**
+     * Save the finished recording to the take library
+     */
+    async saveTake(duration) {
+        if (!this.takeLibrary.isAvailable()) return;
+
+        const blob = this.recorder.getBlob();
+        if (!blob) return;
+
+        // The last part of a split recording is named like the earlier parts
+        const index = this.recorder.segmentIndex;
+        const name = index > 0 ? this.getSegmentName(index) : undefined;
+        // Timeline times are real (recorded) time; the library stores playback length
+        const timeline = this.timeline.export(this.segmentStart, Infinity, index > 0 ? { segment: index } : {});
+        timeline.duration = duration;
+
+        try {
+            const take = await this.attachTimeline(blob, timeline);
+            await this.takeLibrary.addTake(take, { name, duration: this.recorder.toOutputTime(duration), timeline });
+        } catch (error) {
+            console.error('Failed to save take:', error);
+        }
+    }
+
+    /**
+     * Save a segment finished by the recording limits while recording continues
+     */
+    async saveSegment(blob, duration, index) {
+        this.elements.recordingSegment.textContent = `PART ${index + 2}`;
+        this.elements.recordingSegment.classList.remove('hidden');
+
+        const timeline = this.timeline.export(this.segmentStart, this.segmentStart + duration, { segment: index });
+        this.segmentStart += duration;
+        this.timeline.log('segment', { index: index + 1 });
+        blob = await this.attachTimeline(blob, timeline);
+
+        if (!this.takeLibrary.isAvailable()) {
+            // Without the library the earlier parts would be lost - download them instead
+            VideoRecorder.downloadBlob(blob, `clone-recorder-part${index + 1}-${Date.now()}`);
+            return;
+        }
+
+        try {
+            await this.takeLibrary.addTake(blob, { name: this.getSegmentName(index), duration: this.recorder.toOutputTime(duration), timeline });
+        } catch (error) {
+            console.error('Failed to save segment:', error);
+        }
+    }
+
+    /**
+     * Library name for one part of a split recording
+     */
+    getSegmentName(index) {
+        return `${this.recordingName} (part ${index + 1})`;
+    }
+
+    /**
+     * Recover recordings that never finished (tab crash, reload, OS kill)
+     */
+    async recoverUnfinishedSessions() {
+        if (!this.sessionStore.isAvailable() || !this.takeLibrary.isAvailable()) return;
+
+        let sessions = [];
+        try {
+            sessions = await this.sessionStore.getUnfinishedSessions();
+        } catch (error) {
+            console.error('Failed to check for unfinished recordings:', error);
+            return;
+        }
+
+        let recovered = 0;
+
+        for (const session of sessions) {
+            const startedAt = new Date(session.startedAt).toLocaleString();
+            const duration = VideoRecorder.formatDuration(session.duration);
+            const shouldRecover = confirm(
+                `An unfinished recording from ${startedAt} (${duration}) was found.\n\n` +
+                'Press OK to recover it into your take library, or Cancel to discard it.'
+            );
+
+            try {
+                if (shouldRecover) {
+                    const blob = await this.sessionStore.recoverSession(session.id);
+                    if (blob) {
+                        await this.takeLibrary.addTake(blob, {
+                            name: `Recovered ${startedAt}`,
+                            duration: session.duration
+                        });
+                        recovered++;
+                    }
+                }
+
+                await this.sessionStore.finishSession(session.id);
+            } catch (error) {
+                console.error(`Failed to recover session ${session.id}:`, error);
+                alert('Failed to recover recording: ' + error.message);
+            }
+        }
+
+        if (recovered > 0) {
+            this.libraryView.open();
+        }
     }
 
     /**
@@ -270,20 +1028,78 @@ class CloneRecorderApp {
         this.recorder.download('clone-recorder');
         this.recorder.clear();
         this.elements.downloadBtn.classList.add('hidden');
+        this.elements.shareBtn.classList.add('hidden');
+        this.elements.exportClipBtn.classList.add('hidden');
+    }
+
+    /**
+     * Share recorded video (falls back to download)
+     */
+    async shareVideo() {
+        const blob = this.recorder.getBlob();
+        if (!blob) return;
+
+        await shareBlob(blob, `clone-recorder-${Date.now()}`);
+    }
+
+    /**
+     * Import videos another app shared to this one (Web Share Target)
+     */
+    async importSharedFiles() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('shared')) {
+            // Drop the marker so a reload doesn't look like a new share
+            history.replaceState(null, '', window.location.pathname);
+        }
+
+        try {
+            const files = await takeSharedFiles();
+            await this.libraryView.importFiles(files);
+        } catch (error) {
+            console.error('Failed to import shared files:', error);
+        }
+    }
+
+    /**
+     * Open GIF / WebP export for the last recording
+     */
+    exportLastTakeAsClip() {
+        const blob = this.recorder.getBlob();
+        if (!blob) return;
+
+        this.clipExportView.open({
+            blob,
+            startTime: 0,
+            endTime: this.recorder.toOutputTime(this.recorder.segment.duration) / 1000,
+            aspectRatio: this.getRecordingCanvas().width / this.getRecordingCanvas().height
+        });
     }
 
     /**
      * Update recording time display
      */
     updateRecordingTime(duration) {
-        this.elements.recordingTime.textContent = VideoRecorder.formatDuration(duration);
+        // Speed modes show real time next to the length of the resulting clip
+        const output = this.recorder.toOutputTime(duration);
+        this.elements.recordingTime.textContent = output === duration
+            ? VideoRecorder.formatDuration(duration)
+            : `${VideoRecorder.formatDuration(duration)} → ${VideoRecorder.formatDuration(output)}`;
+
+        if (this.recorder.hasLimits()) {
+            const progress = this.recorder.getLimitProgress();
+            this.elements.limitProgressFill.style.width = `${Math.round(progress * 100)}%`;
+            this.elements.limitProgress.classList.toggle('near-limit', progress >= 0.9);
+        }
     }
 
     /**
      * Show countdown overlay
+     * @param {number|string} number - Seconds left, or the sign to hold while armed
+     * @param {string} hint - Line shown under the number
      */
-    showCountdown(number) {
+    showCountdown(number, hint = '') {
         this.elements.countdownNumber.textContent = number;
+        this.elements.countdownHint.textContent = hint;
         this.elements.countdownOverlay.classList.remove('hidden');
     }
 
@@ -299,13 +1115,33 @@ class CloneRecorderApp {
      */
     setupEventListeners() {
         // Recording controls
-        this.elements.recordBtn.addEventListener('click', () => this.startRecording());
+        this.elements.recordBtn.addEventListener('click', () => {
+            this.audioCues.unlock();
+            if (this.countdownState) {
+                this.cancelCountdown();
+            } else {
+                this.startRecording();
+            }
+        });
+
+        // Browsers only allow audio after a user interaction
+        document.addEventListener('pointerdown', () => this.audioCues.unlock(), { once: true });
+        document.addEventListener('pointerdown', () => this.audioInput.resume(), { once: true });
         this.elements.stopBtn.addEventListener('click', () => this.stopRecording());
+        this.elements.pauseBtn.addEventListener('click', () => this.pauseRecording());
+        this.elements.resumeBtn.addEventListener('click', () => this.resumeRecording());
         this.elements.downloadBtn.addEventListener('click', () => this.downloadVideo());
+        this.elements.shareBtn.addEventListener('click', () => this.shareVideo());
+        this.elements.exportClipBtn.addEventListener('click', () => this.exportLastTakeAsClip());
+        this.elements.replayBtn.addEventListener('click', () => this.saveReplay());
+        this.elements.photoBtn.addEventListener('click', () => this.takePhoto());
+        this.elements.speedMode.addEventListener('change', (e) => this.changeSpeedMode(e.target.value));
 
         // Modal controls
         this.elements.helpBtn.addEventListener('click', () => this.showModal('helpModal'));
         this.elements.settingsBtn.addEventListener('click', () => this.showModal('settingsModal'));
+        this.elements.libraryBtn.addEventListener('click', () => this.libraryView.open());
+        this.elements.switchCameraBtn.addEventListener('click', () => this.switchCamera());
 
         // Close buttons
         document.querySelectorAll('.close-btn').forEach(btn => {
@@ -350,28 +1186,890 @@ class CloneRecorderApp {
             this.saveSettings();
         });
 
-        document.getElementById('enableAudio').addEventListener('change', (e) => {
-            this.settings.enableAudio = e.target.checked;
-            this.recorder.setEnableAudio(e.target.checked);
+        const recordingGestures = document.getElementById('recordingGestures');
+        recordingGestures.checked = this.settings.recordingGestures;
+        recordingGestures.addEventListener('change', (e) => {
+            this.settings.recordingGestures = e.target.checked;
+            this.gestureDetector.setRecordingGesturesEnabled(e.target.checked);
             this.saveSettings();
         });
 
-        document.getElementById('videoQuality').addEventListener('change', async (e) => {
-            this.settings.videoQuality = e.target.value;
+        const photoFormat = document.getElementById('photoFormat');
+        photoFormat.value = this.settings.photoFormat;
+        photoFormat.addEventListener('change', (e) => {
+            this.settings.photoFormat = e.target.value;
             this.saveSettings();
+        });
 
-            // Update camera quality
-            await this.camera.setQuality(e.target.value);
+        const burstCount = document.getElementById('burstCount');
+        const burstWindow = document.getElementById('burstWindow');
+        const burstWindowRow = document.getElementById('burstWindowRow');
+        burstCount.value = this.settings.burstCount;
+        burstWindow.value = this.settings.burstWindow;
+        burstWindowRow.classList.toggle('hidden', this.settings.burstCount === 1);
+        burstCount.addEventListener('change', (e) => {
+            this.settings.burstCount = parseInt(e.target.value);
+            burstWindowRow.classList.toggle('hidden', this.settings.burstCount === 1);
+            this.saveSettings();
+        });
+        burstWindow.addEventListener('change', (e) => {
+            this.settings.burstWindow = parseInt(e.target.value);
+            this.saveSettings();
+        });
 
-            // Resize canvas to fullscreen
-            const width = window.innerWidth;
-            const height = window.innerHeight;
-            this.renderer.resize(width, height);
+        const photoGesture = document.getElementById('photoGesture');
+        photoGesture.checked = this.settings.photoGesture;
+        photoGesture.addEventListener('change', (e) => {
+            this.settings.photoGesture = e.target.checked;
+            this.gestureDetector.setPhotoGestureEnabled(e.target.checked);
+            this.saveSettings();
         });
-    }
 
-    /**
-     * Show modal
+        const adaptiveQuality = document.getElementById('adaptiveQuality');
+        adaptiveQuality.checked = this.settings.adaptiveQuality;
+        adaptiveQuality.addEventListener('change', (e) => {
+            this.settings.adaptiveQuality = e.target.checked;
+            if (!e.target.checked) {
+                this.adaptiveQuality.stop();
+            }
+            this.saveSettings();
+        });
+
+        const countdownSeconds = document.getElementById('countdownSeconds');
+        countdownSeconds.value = this.settings.countdownSeconds;
+        countdownSeconds.addEventListener('change', (e) => {
+            this.settings.countdownSeconds = parseInt(e.target.value);
+            this.saveSettings();
+        });
+
+        const countdownBeeps = document.getElementById('countdownBeeps');
+        countdownBeeps.checked = this.settings.countdownBeeps;
+        countdownBeeps.addEventListener('change', (e) => {
+            this.settings.countdownBeeps = e.target.checked;
+            this.saveSettings();
+        });
+
+        const gestureStart = document.getElementById('gestureStart');
+        const gestureStartSign = document.getElementById('gestureStartSign');
+        const gestureStartSignRow = document.getElementById('gestureStartSignRow');
+        gestureStart.checked = this.settings.gestureStart;
+        gestureStartSign.value = this.settings.gestureStartSign;
+        gestureStartSignRow.classList.toggle('hidden', !this.settings.gestureStart);
+        gestureStart.addEventListener('change', (e) => {
+            this.settings.gestureStart = e.target.checked;
+            gestureStartSignRow.classList.toggle('hidden', !e.target.checked);
+            this.saveSettings();
+        });
+        gestureStartSign.addEventListener('change', (e) => {
+            this.settings.gestureStartSign = e.target.value;
+            this.saveSettings();
+        });
+
+        const enableAudio = document.getElementById('enableAudio');
+        enableAudio.checked = this.settings.enableAudio;
+        enableAudio.addEventListener('change', async (e) => {
+            const enabled = await this.applyAudioSetting(e.target.checked);
+            e.target.checked = enabled;
+            this.saveSettings();
+        });
+
+        const recordingBackend = document.getElementById('recordingBackend');
+        const webCodecsOption = recordingBackend.querySelector('option[value="webcodecs"]');
+        webCodecsOption.disabled = !WebCodecsRecorder.isSupported();
+        recordingBackend.value = webCodecsOption.disabled ? 'mediarecorder' : this.settings.recordingBackend;
+        recordingBackend.addEventListener('change', async (e) => {
+            if (this.isRecording) {
+                alert('Stop recording before changing the recording format.');
+                e.target.value = this.settings.recordingBackend;
+                return;
+            }
+
+            this.settings.recordingBackend = e.target.value;
+            this.saveSettings();
+
+            this.recorder = this.createRecorder(e.target.value);
+            await this.applyAudioSetting(this.settings.enableAudio);
+            await this.applySpeedMode();
+        });
+
+        const outputAspect = document.getElementById('outputAspect');
+        const outputResolution = document.getElementById('outputResolution');
+        const framing = document.getElementById('framing');
+        const framingPan = document.getElementById('framingPan');
+        const framingPanRow = document.getElementById('framingPanRow');
+        const showSafeArea = document.getElementById('showSafeArea');
+        outputAspect.value = this.settings.outputAspect;
+        outputResolution.value = this.settings.outputResolution;
+        framing.value = this.settings.framing;
+        framingPan.value = this.settings.framingPan;
+        framingPanRow.classList.toggle('hidden', this.settings.framing !== 'pan');
+        showSafeArea.checked = this.settings.showSafeArea;
+        this.elements.safeAreaCanvas.classList.toggle('hidden', !this.compositor.isCropped() || !this.settings.showSafeArea);
+
+        const onProfileChange = async () => {
+            if (this.isRecording) {
+                alert('Stop recording before changing the output format.');
+                outputAspect.value = this.settings.outputAspect;
+                outputResolution.value = this.settings.outputResolution;
+                return;
+            }
+
+            this.settings.outputAspect = outputAspect.value;
+            this.settings.outputResolution = parseInt(outputResolution.value);
+            this.saveSettings();
+            await this.applyOutputProfile();
+        };
+
+        outputAspect.addEventListener('change', onProfileChange);
+        outputResolution.addEventListener('change', onProfileChange);
+
+        const onFramingChange = () => {
+            this.settings.framing = framing.value;
+            this.settings.framingPan = parseFloat(framingPan.value);
+            framingPanRow.classList.toggle('hidden', this.settings.framing !== 'pan');
+            this.compositor.setFraming(this.settings.framing, this.settings.framingPan);
+            this.saveSettings();
+        };
+
+        framing.addEventListener('change', onFramingChange);
+        framingPan.addEventListener('input', onFramingChange);
+
+        showSafeArea.addEventListener('change', (e) => {
+            this.settings.showSafeArea = e.target.checked;
+            this.elements.safeAreaCanvas.classList.toggle('hidden', !this.compositor.isCropped() || !e.target.checked);
+            this.saveSettings();
+        });
+
+        const watermarkType = document.getElementById('watermarkType');
+        const watermarkText = document.getElementById('watermarkText');
+        const watermarkLogoBtn = document.getElementById('watermarkLogoBtn');
+        const watermarkLogoInput = document.getElementById('watermarkLogoInput');
+        const watermarkPosition = document.getElementById('watermarkPosition');
+        const watermarkSize = document.getElementById('watermarkSize');
+        const watermarkOpacity = document.getElementById('watermarkOpacity');
+        const watermarkMargin = document.getElementById('watermarkMargin');
+        watermarkType.value = this.settings.watermarkType;
+        watermarkText.value = this.settings.watermarkText;
+        watermarkPosition.value = this.settings.watermarkPosition;
+        watermarkSize.value = this.settings.watermarkSize;
+        watermarkOpacity.value = this.settings.watermarkOpacity;
+        watermarkMargin.value = this.settings.watermarkMargin;
+        this.updateWatermarkControls();
+
+        const onWatermarkChange = () => {
+            this.settings.watermarkType = watermarkType.value;
+            this.settings.watermarkText = watermarkText.value;
+            this.settings.watermarkPosition = watermarkPosition.value;
+            this.settings.watermarkSize = parseInt(watermarkSize.value);
+            this.settings.watermarkOpacity = parseInt(watermarkOpacity.value);
+            this.settings.watermarkMargin = parseInt(watermarkMargin.value);
+            this.applyWatermark();
+            this.updateWatermarkControls();
+            this.saveSettings();
+        };
+
+        [watermarkType, watermarkPosition].forEach(input => input.addEventListener('change', onWatermarkChange));
+        [watermarkText, watermarkSize, watermarkOpacity, watermarkMargin].forEach(input => input.addEventListener('input', onWatermarkChange));
+
+        watermarkLogoBtn.addEventListener('click', () => watermarkLogoInput.click());
+        watermarkLogoInput.addEventListener('change', async () => {
+            const file = watermarkLogoInput.files[0];
+            watermarkLogoInput.value = '';
+            if (file) {
+                await this.setWatermarkLogo(file);
+            }
+        });
+
+        const embedTimeline = document.getElementById('embedTimeline');
+        embedTimeline.checked = this.settings.embedTimeline;
+        embedTimeline.addEventListener('change', (e) => {
+            this.settings.embedTimeline = e.target.checked;
+            this.saveSettings();
+        });
+
+        const maxDuration = document.getElementById('maxDuration');
+        const maxFileSize = document.getElementById('maxFileSize');
+        const limitAction = document.getElementById('limitAction');
+        maxDuration.value = this.settings.maxDurationMinutes;
+        maxFileSize.value = this.settings.maxFileSizeMB;
+        limitAction.value = this.settings.limitAction;
+
+        const onLimitChange = () => {
+            this.settings.maxDurationMinutes = parseFloat(maxDuration.value);
+            this.settings.maxFileSizeMB = parseInt(maxFileSize.value);
+            this.settings.limitAction = limitAction.value;
+            this.saveSettings();
+            this.applyLimits(this.recorder);
+        };
+
+        [maxDuration, maxFileSize, limitAction].forEach(select => select.addEventListener('change', onLimitChange));
+
+        const replayEnabled = document.getElementById('replayEnabled');
+        const replaySeconds = document.getElementById('replaySeconds');
+        const { replayMaxSeconds } = this.performanceManager.getSettings();
+        replayEnabled.disabled = !ReplayBuffer.isSupported();
+        replayEnabled.checked = this.settings.replayEnabled && !replayEnabled.disabled;
+        replaySeconds.querySelectorAll('option').forEach((option) => {
+            option.disabled = parseInt(option.value) > replayMaxSeconds;
+        });
+        replaySeconds.value = this.getReplayWindow();
+
+        replayEnabled.addEventListener('change', async (e) => {
+            e.target.checked = await this.applyReplaySetting(e.target.checked);
+            this.saveSettings();
+        });
+
+        replaySeconds.addEventListener('change', (e) => {
+            this.settings.replaySeconds = parseInt(e.target.value);
+            this.replayBuffer.setWindow(this.getReplayWindow());
+            this.saveSettings();
+        });
+
+        const cameraSelect = document.getElementById('cameraSelect');
+        this.populateCameraSelect(this.camera.cameras);
+        cameraSelect.addEventListener('change', async (e) => {
+            if (this.isRecording) {
+                alert('Stop recording before switching cameras.');
+                this.populateCameraSelect(this.camera.cameras);
+                return;
+            }
+
+            this.settings.cameraDeviceId = e.target.value || null;
+            this.saveSettings();
+
+            try {
+                await this.camera.setDevice(this.settings.cameraDeviceId);
+                await this.onCameraRestarted();
+            } catch (error) {
+                console.error('Camera switch failed:', error);
+                alert(error.message);
+            }
+        });
+
+        const inputFileInput = document.getElementById('inputFileInput');
+        document.getElementById('inputFileBtn').addEventListener('click', () => inputFileInput.click());
+        inputFileInput.addEventListener('change', () => {
+            const file = inputFileInput.files[0];
+            inputFileInput.value = '';
+            if (file) {
+                this.useInputFile(file);
+            }
+        });
+        document.getElementById('useCameraBtn').addEventListener('click', () => this.useCameraInput());
+
+        const mirrorMode = document.getElementById('mirrorMode');
+        const mirrorRecording = document.getElementById('mirrorRecording');
+        mirrorMode.value = this.settings.mirrorMode;
+        mirrorRecording.checked = this.settings.mirrorRecording;
+
+        const onMirrorChange = async () => {
+            if (this.isRecording) {
+                alert('Stop recording before changing mirror options.');
+                mirrorMode.value = this.settings.mirrorMode;
+                mirrorRecording.checked = this.settings.mirrorRecording;
+                return;
+            }
+
+            this.settings.mirrorMode = mirrorMode.value;
+            this.settings.mirrorRecording = mirrorRecording.checked;
+            this.saveSettings();
+
+            this.camera.setMirrorMode(this.settings.mirrorMode);
+            this.applyMirror();
+            await this.applyOutputProfile();
+        };
+
+        mirrorMode.addEventListener('change', onMirrorChange);
+        mirrorRecording.addEventListener('change', onMirrorChange);
+
+        this.refreshCameraControls();
+        document.getElementById('cameraControlsReset').addEventListener('click', async () => {
+            try {
+                await this.camera.resetControls();
+            } catch (error) {
+                console.warn('Failed to reset camera controls:', error);
+            }
+
+            this.saveCameraControls();
+            this.timeline.log('camera-control', { reset: true });
+            this.refreshCameraControls();
+        });
+
+        document.getElementById('videoQuality').addEventListener('change', async (e) => {
+            this.settings.videoQuality = e.target.value;
+            this.saveSettings();
+
+            // Update camera quality
+            await this.camera.setQuality(e.target.value);
+
+            // Resizes the canvas, output profile and replay encoder to the restarted camera
+            await this.onCameraRestarted();
+        });
+
+        const fitMode = document.getElementById('fitMode');
+        fitMode.value = this.settings.fitMode;
+        fitMode.addEventListener('change', (e) => {
+            this.settings.fitMode = e.target.value;
+            this.renderer.setFitMode(this.settings.fitMode);
+            this.saveSettings();
+        });
+
+        const screenShareBtn = document.getElementById('screenShareBtn');
+        screenShareBtn.classList.toggle('hidden', !CameraManager.isScreenCaptureSupported());
+        screenShareBtn.addEventListener('click', () => this.useScreenCapture());
+        document.getElementById('stopScreenShareBtn').addEventListener('click', () => this.stopScreenCapture());
+
+        const screenLayout = document.getElementById('screenLayout');
+        const screenSubjectSize = document.getElementById('screenSubjectSize');
+        const screenSubjectSizeValue = document.getElementById('screenSubjectSizeValue');
+        screenLayout.value = this.settings.screenLayout;
+        screenSubjectSize.value = this.settings.screenSubjectSize;
+        screenSubjectSizeValue.textContent = `${this.settings.screenSubjectSize}%`;
+
+        const onScreenLayoutChange = () => {
+            this.settings.screenLayout = screenLayout.value;
+            this.settings.screenSubjectSize = parseInt(screenSubjectSize.value);
+            screenSubjectSizeValue.textContent = `${this.settings.screenSubjectSize}%`;
+            this.renderer.setSubjectLayout(this.settings.screenLayout, this.settings.screenSubjectSize / 100);
+            this.saveSettings();
+        };
+
+        screenLayout.addEventListener('change', onScreenLayoutChange);
+        screenSubjectSize.addEventListener('input', onScreenLayoutChange);
+    }
+
+    /**
+     * Capture a screen or window and composite the camera over it
+     */
+    async useScreenCapture() {
+        if (this.isRecording) {
+            alert('Stop recording before changing the input.');
+            return;
+        }
+
+        try {
+            await this.camera.startScreenCapture();
+        } catch (error) {
+            // Closing the browser's picker is not an error worth reporting
+            if (error.name !== 'NotAllowedError') {
+                console.error('Screen capture failed:', error);
+                alert('Failed to capture the screen: ' + error.message);
+            }
+            return;
+        }
+
+        this.renderer.setBackground(this.camera.screenVideo);
+        await this.onCameraRestarted();
+        this.updateInputSourceControls();
+    }
+
+    /**
+     * Go back to the camera filling the canvas
+     */
+    async stopScreenCapture() {
+        if (this.isRecording) {
+            alert('Stop recording before changing the input.');
+            return;
+        }
+
+        this.camera.stopScreenCapture();
+        await this.onScreenCaptureEnded();
+    }
+
+    /**
+     * Screen sharing stopped (here or from the browser's own controls)
+     * Mid-take the canvas keeps its size and the camera layer simply fills it.
+     */
+    async onScreenCaptureEnded() {
+        this.renderer.setBackground(null);
+        this.timeline.log('input', { screen: false });
+        await this.onCameraRestarted();
+        this.updateInputSourceControls();
+    }
+
+    /**
+     * Feed a local video file through the pipeline instead of the camera
+     * @param {File} file
+     */
+    async useInputFile(file) {
+        if (this.isRecording) {
+            alert('Stop recording before changing the input.');
+            return;
+        }
+
+        try {
+            await this.camera.initFromFile(file, this.elements.video);
+        } catch (error) {
+            console.error('Failed to open input file:', error);
+            alert(`${error.message}. Switching back to the camera.`);
+            await this.useCameraInput();
+            return;
+        }
+
+        await this.onCameraRestarted();
+        this.updateInputSourceControls();
+    }
+
+    /**
+     * Leave file input and reopen the camera
+     */
+    async useCameraInput() {
+        if (this.isRecording) {
+            alert('Stop recording before changing the input.');
+            return;
+        }
+
+        try {
+            await this.camera.setDevice(this.settings.cameraDeviceId);
+            await this.onCameraRestarted();
+        } catch (error) {
+            console.error('Failed to reopen camera:', error);
+            alert(error.message);
+        }
+
+        this.updateInputSourceControls();
+    }
+
+    /**
+     * Show which input is active in settings
+     */
+    updateInputSourceControls() {
+        const fileActive = this.camera.isFileSource();
+        const fileName = document.getElementById('inputFileName');
+
+        document.getElementById('useCameraBtn').classList.toggle('hidden', !fileActive);
+        fileName.classList.toggle('hidden', !fileActive);
+        fileName.textContent = fileActive ? this.camera.fileName : '';
+
+        const screenActive = this.camera.isScreenCapture();
+        document.getElementById('screenShareBtn').classList.toggle('hidden', screenActive || !CameraManager.isScreenCaptureSupported());
+        document.getElementById('stopScreenShareBtn').classList.toggle('hidden', !screenActive);
+        this.populateCameraSelect(this.camera.cameras);
+    }
+
+    /**
+     * Toggle between front and rear cameras
+     * Mirroring follows the camera when the mirror mode is automatic.
+     */
+    async switchCamera() {
+        if (this.isRecording) {
+            alert('Stop recording before switching cameras.');
+            return;
+        }
+
+        try {
+            await this.camera.switchCamera();
+            this.settings.cameraDeviceId = null; // Facing mode picks the camera now
+            this.saveSettings();
+            await this.onCameraRestarted();
+        } catch (error) {
+            console.error('Camera switch failed:', error);
+            alert(error.message);
+        }
+
+        this.populateCameraSelect(this.camera.cameras);
+    }
+
+    /**
+     * Push the mirror state to every stage that has its own idea of left and right
+     * Clone placement uses canvas coordinates, so it follows the mirrored preview automatically.
+     */
+    applyMirror() {
+        const mirror = this.camera.mirror;
+
+        this.renderer.setMirrored(mirror);
+        this.segmentationManager.setMirrored(mirror);
+        this.gestureDetector.setMirrored(mirror);
+
+        // Recordings follow the preview unless they should stay true to the camera.
+        // Over a screen capture only the camera layer is mirrored - flipping the output would mirror the screen.
+        this.compositor.setFlip(mirror && !this.settings.mirrorRecording && !this.camera.isScreenCapture());
+    }
+
+    /**
+     * Fill the camera dropdown, selecting the camera in use
+     */
+    populateCameraSelect(cameras) {
+        const cameraSelect = document.getElementById('cameraSelect');
+        const defaultOption = new Option('Default camera', '');
+        cameraSelect.replaceChildren(defaultOption, ...cameras.map(c => new Option(c.label, c.deviceId)));
+
+        const activeId = this.camera.getActiveDeviceId();
+        cameraSelect.value = this.camera.deviceId && cameras.some(c => c.deviceId === activeId) ? activeId : '';
+
+        this.elements.switchCameraBtn.classList.toggle('hidden', cameras.length < 2 || this.camera.isFileSource());
+    }
+
+    /**
+     * The camera stopped delivering frames: hold the take and show the reconnect state
+     * @param {string} reason - 'ended' (unplugged / taken by another app) or 'muted' (suspended)
+     */
+    onCameraLost(reason) {
+        this.timeline.log('camera-lost', { reason });
+        this.elements.cameraLostTitle.textContent = reason === 'muted' ? 'Camera suspended' : 'Camera disconnected';
+        this.elements.cameraLostOverlay.classList.remove('hidden');
+
+        if (this.countdownState) {
+            this.cancelCountdown();
+        }
+
+        // A frozen frame is useless footage - pause and pick up the same take once the camera is back
+        if (this.isRecording && !this.recorder.isPaused) {
+            this.pausedForCamera = true;
+            this.pauseRecording();
+        }
+    }
+
+    /**
+     * Show when the next reconnect attempt happens
+     */
+    onCameraReconnectAttempt(attempt, delay) {
+        const when = delay >= 1000 ? `in ${Math.round(delay / 1000)}s` : 'now';
+        this.elements.cameraLostStatus.textContent = `Reconnecting ${when} (attempt ${attempt})…`;
+    }
+
+    /**
+     * A camera is streaming again after a loss
+     * @param {string|null} deviceId - Camera now in use
+     * @param {boolean} isFallback - A different camera than the preferred one took over
+     */
+    async onCameraRestored(deviceId, isFallback) {
+        this.timeline.log('camera-restored', { fallback: isFallback, attempts: this.camera.reconnectAttempt });
+
+        if (isFallback) {
+            console.warn(`Continuing on ${this.camera.getCameraLabel(deviceId)} until the preferred camera returns`);
+        }
+
+        if (!this.isInitialized) {
+            this.finishCameraRecovery();
+            return;
+        }
+
+        await this.onCameraRestarted();
+        this.populateCameraSelect(this.camera.cameras);
+    }
+
+    /**
+     * Hide the reconnect state and continue a take that was paused for it
+     */
+    finishCameraRecovery() {
+        this.elements.cameraLostOverlay.classList.add('hidden');
+
+        if (this.pausedForCamera) {
+            this.pausedForCamera = false;
+            this.resumeRecording();
+        }
+    }
+
+    /**
+     * Cameras were plugged in or removed
+     * @param {Array} cameras - Current camera list
+     * @param {string|null} fallbackId - Camera switched to because the active one disappeared
+     */
+    async onCamerasChanged(cameras, fallbackId) {
+        this.timeline.log('camera', { available: cameras.length, fallback: fallbackId !== null });
+
+        // Preferred camera came back - return to it between takes
+        const preferred = this.settings.cameraDeviceId;
+        const preferredBack = preferred && !this.camera.isFileSource() && !this.camera.reconnecting && cameras.some(c => c.deviceId === preferred) && this.camera.getActiveDeviceId() !== preferred;
+
+        if (preferredBack && !this.isRecording) {
+            console.log(`Preferred camera reconnected: ${this.camera.getCameraLabel(preferred)}`);
+            try {
+                await this.camera.setDevice(preferred);
+            } catch (error) {
+                console.error('Failed to switch back to preferred camera:', error);
+            }
+        }
+
+        if (fallbackId || preferredBack) {
+            await this.onCameraRestarted();
+        }
+
+        this.populateCameraSelect(cameras);
+    }
+
+    /**
+     * Re-fit the pipeline after the camera stream was replaced
+     * The canvas keeps its size mid-take so the recording isn't disrupted.
+     */
+    async onCameraRestarted() {
+        this.finishCameraRecovery();
+        this.refreshCameraControls();
+        if (this.isRecording) return;
+
+        // A screen capture sets the scene size; the camera becomes a layer inside it
+        const { width, height } = this.camera.isScreenCapture()
+            ? this.camera.getScreenDimensions()
+            : this.camera.getVideoDimensions();
+        this.renderer.resize(width, height);
+
+        // New camera may face the other way; also resizes the output and restarts replay
+        this.applyMirror();
+        await this.applyOutputProfile();
+
+        // Slow motion depends on what the new camera can capture
+        await this.applySpeedMode();
+    }
+
+    /**
+     * Show the image controls the current camera supports
+     */
+    refreshCameraControls() {
+        this.cameraControlsPanel.render(this.camera.getControls());
+        document.getElementById('cameraControlsSection').classList.toggle('hidden', !this.cameraControlsPanel.hasControls());
+    }
+
+    /**
+     * Apply a camera control from the panel
+     * Sliders apply live; the value is saved (and logged to the take) once released.
+     */
+    async setCameraControl(name, value, final) {
+        try {
+            await this.camera.setControl(name, value);
+        } catch (error) {
+            console.warn(`Camera rejected ${name}=${value}:`, error);
+            return;
+        }
+
+        if (final) {
+            this.saveCameraControls();
+            this.timeline.log('camera-control', { [name]: value });
+        }
+    }
+
+    /**
+     * Read saved camera controls (per device)
+     */
+    loadCameraControls() {
+        try {
+            return JSON.parse(localStorage.getItem(CAMERA_CONTROLS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Saved camera controls could not be read:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist camera controls for every device
+     */
+    saveCameraControls() {
+        localStorage.setItem(CAMERA_CONTROLS_STORAGE_KEY, JSON.stringify(this.camera.controlPresets));
+    }
+
+    /**
+     * Restore the saved logo and overlay options
+     */
+    async loadWatermark() {
+        try {
+            await this.renderer.overlayLayer.setImage(localStorage.getItem(WATERMARK_STORAGE_KEY));
+        } catch (error) {
+            console.warn('Saved watermark logo could not be loaded:', error);
+        }
+
+        this.applyWatermark();
+    }
+
+    /**
+     * Push watermark settings to the overlay layer
+     */
+    applyWatermark() {
+        this.renderer.overlayLayer.setOptions({
+            type: this.settings.watermarkType,
+            text: this.settings.watermarkText,
+            position: this.settings.watermarkPosition,
+            size: this.settings.watermarkSize,
+            opacity: this.settings.watermarkOpacity / 100,
+            margin: this.settings.watermarkMargin
+        });
+    }
+
+    /**
+     * Store an uploaded PNG / SVG logo and switch the watermark to it
+     */
+    async setWatermarkLogo(file) {
+        if (!['image/png', 'image/svg+xml'].includes(file.type)) {
+            alert('Please choose a PNG or SVG logo.');
+            return;
+        }
+
+        if (file.size > MAX_LOGO_BYTES) {
+            alert('Logo is too large. Please use an image under 1 MB.');
+            return;
+        }
+
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+
+        try {
+            await this.renderer.overlayLayer.setImage(dataUrl);
+            localStorage.setItem(WATERMARK_STORAGE_KEY, dataUrl);
+        } catch (error) {
+            console.error('Failed to load watermark logo:', error);
+            alert('Could not use this logo: ' + error.message);
+            return;
+        }
+
+        console.log(`Watermark logo set: ${file.name}`);
+        const watermarkType = document.getElementById('watermarkType');
+        watermarkType.value = 'image';
+        watermarkType.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Show only the controls that apply to the chosen watermark type
+     */
+    updateWatermarkControls() {
+        const type = this.settings.watermarkType;
+        document.getElementById('watermarkTextRow').classList.toggle('hidden', type !== 'text');
+        document.getElementById('watermarkLogoRow').classList.toggle('hidden', type !== 'image');
+        document.querySelectorAll('.watermark-option').forEach(row => row.classList.toggle('hidden', type === 'none'));
+    }
+
+    /**
+     * Canvas that recordings capture: the framed output, or the preview itself
+     */
+    getRecordingCanvas() {
+        return this.compositor && this.compositor.isActive() ? this.compositor.canvas : this.elements.canvas;
+    }
+
+    /**
+     * Apply output aspect / resolution and point the recorders at the right canvas
+     */
+    async applyOutputProfile() {
+        this.compositor.setProfile(this.settings.outputAspect, this.settings.outputResolution);
+        this.compositor.updateCrop();
+        this.compositor.render(); // Size and fill the output before anything captures it
+
+        const showGuides = this.compositor.isCropped() && this.settings.showSafeArea;
+        this.elements.safeAreaCanvas.classList.toggle('hidden', !showGuides);
+
+        // The crop can't hold more pixels than the preview - say what is really recorded
+        const effective = this.compositor.getEffectiveResolution();
+        const limited = this.compositor.isCropped() && effective < this.settings.outputResolution;
+        this.elements.outputResolutionNote.textContent = limited
+            ? `Recording at ${this.compositor.canvas.width}x${this.compositor.canvas.height} - limited by the camera resolution`
+            : '';
+        this.elements.outputResolutionNote.classList.toggle('hidden', !limited);
+
+        this.recorder.setSourceCanvas(this.getRecordingCanvas());
+        this.replayBuffer.setSourceCanvas(this.getRecordingCanvas());
+
+        if (this.settings.replayEnabled) {
+            await this.applyReplaySetting(true);
+        }
+    }
+
+    /**
+     * Longest replay window the current performance tier allows
+     */
+    getReplayWindow() {
+        const { replayMaxSeconds } = this.performanceManager.getSettings();
+        return Math.min(this.settings.replaySeconds, replayMaxSeconds);
+    }
+
+    /**
+     * Start or stop the instant replay buffer
+     * @returns {Promise<boolean>} Whether replay ended up enabled
+     */
+    async applyReplaySetting(enabled) {
+        this.replayBuffer.stop();
+
+        if (enabled && !ReplayBuffer.isSupported()) {
+            console.warn('Instant replay requires WebCodecs');
+            enabled = false;
+        }
+
+        if (enabled) {
+            const { replayBitrate } = this.performanceManager.getSettings();
+            const fps = this.performanceManager.getTier() === 'low' ? 15 : 30;
+
+            try {
+                await this.replayBuffer.start({ seconds: this.getReplayWindow(), fps, bitrate: replayBitrate });
+            } catch (error) {
+                console.error('Instant replay failed to start:', error);
+                alert('Failed to start instant replay: ' + error.message);
+                enabled = false;
+            }
+        }
+
+        this.settings.replayEnabled = enabled;
+        this.elements.replayBtn.classList.toggle('hidden', !enabled);
+        return enabled;
+    }
+
+    /**
+     * Save the instant replay window as a take
+     */
+    async saveReplay() {
+        if (!this.replayBuffer || !this.replayBuffer.isRunning) return;
+
+        const button = this.elements.replayBtn;
+        const label = button.querySelector('span');
+        button.disabled = true;
+
+        try {
+            const replay = await this.replayBuffer.save();
+            if (!replay) return;
+
+            if (this.takeLibrary.isAvailable()) {
+                await this.takeLibrary.addTake(replay.blob, {
+                    name: `Replay ${new Date().toLocaleTimeString()}`,
+                    duration: replay.duration
+                });
+            } else {
+                VideoRecorder.downloadBlob(replay.blob, `clone-recorder-replay-${Date.now()}`);
+            }
+
+            label.textContent = 'Saved!';
+            setTimeout(() => {
+                label.textContent = 'Save Replay';
+            }, 1500);
+        } catch (error) {
+            console.error('Failed to save replay:', error);
+            alert('Failed to save replay: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Pass duration / size limits from settings to a recorder
+     */
+    applyLimits(recorder) {
+        if (!recorder) return;
+
+        recorder.setLimits({
+            maxDuration: this.settings.maxDurationMinutes * 60 * 1000,
+            maxFileSize: this.settings.maxFileSizeMB * 1024 * 1024,
+            action: this.settings.limitAction
+        });
+    }
+
+    /**
+     * Enable/disable microphone recording and the level meter
+     * @returns {Promise<boolean>} Whether audio ended up enabled
+     */
+    async applyAudioSetting(enabled) {
+        try {
+            await this.recorder.setEnableAudio(enabled);
+            this.settings.enableAudio = enabled;
+        } catch (error) {
+            console.error('Audio setup failed:', error);
+            this.settings.enableAudio = false;
+            alert(error.message);
+        }
+
+        this.elements.audioMeter.classList.toggle('hidden', !this.settings.enableAudio);
+        return this.settings.enableAudio;
+    }
+
+    /**
+     * Show modal
      */
     showModal(modalId) {
         document.getElementById(modalId).classList.remove('hidden');
@@ -389,6 +2087,12 @@ class CloneRecorderApp {
      */
     saveSettings() {
         localStorage.setItem('cloneRecorderSettings', JSON.stringify(this.settings));
+
+        const changes = TakeTimeline.diffSettings(this.savedSettings, this.settings);
+        if (changes) {
+            this.timeline.log('settings', { changes });
+        }
+        this.savedSettings = { ...this.settings };
     }
 
     /**
@@ -400,6 +2104,8 @@ class CloneRecorderApp {
             this.settings = { ...this.settings, ...JSON.parse(saved) };
             console.log('Settings loaded:', this.settings);
         }
+
+        this.savedSettings = { ...this.settings };
     }
 
     /**
@@ -427,6 +2133,10 @@ class CloneRecorderApp {
         }
 
         this.camera.stop();
+        this.audioInput.stop();
+        if (this.replayBuffer) {
+            this.replayBuffer.stop();
+        }
         this.gestureDetector.stop();
         this.cloneManager.clear();
     }
@@ -0,0 +1,82 @@
+// mp4-metadata.js - Embed JSON Metadata in MP4 Files as a Top-Level uuid Box
+
+// Extended type identifying Clone Recorder metadata ("CloneRecorderMeta" folded to 16 bytes)
+const METADATA_UUID = new Uint8Array([
+    0x43, 0x6c, 0x6f, 0x6e, 0x65, 0x52, 0x65, 0x63,
+    0x8a, 0x1f, 0x4d, 0x65, 0x74, 0x61, 0x00, 0x01
+]);
+
+/**
+ * Add a JSON document to an MP4 file
+ * The box goes at the end of the file, or just before a trailing mfra box, so no
+ * existing sample or fragment offsets move.
+ * @param {Blob} blob - MP4 video
+ * @param {Object} data - JSON-serializable metadata
+ * @returns {Promise<Blob>}
+ */
+export async function embedMp4Metadata(blob, data) {
+    const json = new TextEncoder().encode(JSON.stringify(data));
+    const box = new Uint8Array(8 + 16 + json.length);
+    const view = new DataView(box.buffer);
+
+    view.setUint32(0, box.length);
+    box.set([0x75, 0x75, 0x69, 0x64], 4); // 'uuid'
+    box.set(METADATA_UUID, 8);
+    box.set(json, 24);
+
+    const boxes = await readTopLevelBoxes(blob);
+    const last = boxes[boxes.length - 1];
+
+    if (last && last.type === 'mfra') {
+        return new Blob([blob.slice(0, last.offset), box, blob.slice(last.offset)], { type: blob.type });
+    }
+
+    return new Blob([blob, box], { type: blob.type });
+}
+
+/**
+ * Read metadata embedded by embedMp4Metadata
+ * @returns {Promise<Object|null>}
+ */
+export async function readMp4Metadata(blob) {
+    const boxes = await readTopLevelBoxes(blob);
+
+    for (const box of boxes) {
+        if (box.type !== 'uuid' || box.size < 24) continue;
+
+        const bytes = new Uint8Array(await blob.slice(box.offset + 8, box.offset + box.size).arrayBuffer());
+        if (!bytes.subarray(0, 16).every((value, index) => value === METADATA_UUID[index])) continue;
+
+        return JSON.parse(new TextDecoder().decode(bytes.subarray(16)));
+    }
+
+    return null;
+}
+
+/**
+ * List top-level boxes by reading only their headers
+ * @returns {Promise<Array<{type: string, offset: number, size: number}>>}
+ */
+async function readTopLevelBoxes(blob) {
+    const boxes = [];
+    let offset = 0;
+
+    while (offset + 8 <= blob.size) {
+        const header = new DataView(await blob.slice(offset, offset + 16).arrayBuffer());
+        const type = String.fromCharCode(header.getUint8(4), header.getUint8(5), header.getUint8(6), header.getUint8(7));
+        let size = header.getUint32(0);
+
+        if (size === 1 && header.byteLength >= 16) {
+            size = Number(header.getBigUint64(8)); // 64-bit largesize
+        } else if (size === 0) {
+            size = blob.size - offset; // Box extends to end of file
+        }
+
+        if (size < 8) break; // Corrupt - stop walking
+
+        boxes.push({ type, offset, size });
+        offset += size;
+    }
+
+    return boxes;
+}
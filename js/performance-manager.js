@@ -4,12 +4,15 @@ export class PerformanceManager {
     constructor() {
         this.measuredFPS = 60;
         this.performanceTier = 'high'; // low, medium, high
+        this.onTierChange = null; // Called with (tier) when the tier changes
         this.settings = {
             maxClones: 7,
             segmentationEnabled: true,
             segmentationResolution: 256,
             smokeEffectsEnabled: true,
-            frameBufferScale: 1.0
+            frameBufferScale: 1.0,
+            replayMaxSeconds: 30,
+            replayBitrate: 4000000
         };
     }
 
@@ -53,6 +56,8 @@ export class PerformanceManager {
      * Determine performance tier based on FPS
      */
     determinePerformanceTier(fps) {
+        const previousTier = this.performanceTier;
+
         if (fps < 20) {
             this.performanceTier = 'low';
             this.applyLowEndSettings();
@@ -63,6 +68,19 @@ export class PerformanceManager {
             this.performanceTier = 'high';
             this.applyHighSettings();
         }
+
+        if (this.performanceTier !== previousTier) {
+            this.notifyTierChange();
+        }
+    }
+
+    /**
+     * Tell listeners the tier changed
+     */
+    notifyTierChange() {
+        if (this.onTierChange) {
+            this.onTierChange(this.performanceTier);
+        }
     }
 
     /**
@@ -74,7 +92,9 @@ export class PerformanceManager {
             segmentationEnabled: true, // Enable for visibility (essential)
             segmentationResolution: 128, // Very low res
             smokeEffectsEnabled: false, // Disable effects
-            frameBufferScale: 0.5 // Half resolution buffers
+            frameBufferScale: 0.5, // Half resolution buffers
+            replayMaxSeconds: 10, // Instant replay window cap (~2 MB at replayBitrate)
+            replayBitrate: 1500000
         };
         console.warn('⚠️ Low performance detected - optimizations applied');
     }
@@ -88,7 +108,9 @@ export class PerformanceManager {
             segmentationEnabled: true, // Enable for visibility
             segmentationResolution: 144, // Low resolution for performance
             smokeEffectsEnabled: true,
-            frameBufferScale: 0.75
+            frameBufferScale: 0.75,
+            replayMaxSeconds: 20,
+            replayBitrate: 2500000
         };
         console.log('📊 Medium performance - balanced settings applied');
     }
@@ -102,7 +124,9 @@ export class PerformanceManager {
             segmentationEnabled: true,
             segmentationResolution: 256,
             smokeEffectsEnabled: true,
-            frameBufferScale: 1.0 // Full resolution
+            frameBufferScale: 1.0, // Full resolution
+            replayMaxSeconds: 30,
+            replayBitrate: 4000000
         };
         console.log('🚀 High performance - full quality enabled');
     }
@@ -130,6 +154,7 @@ export class PerformanceManager {
             console.warn('⚠️ FPS dropped to', currentFPS, '- downgrading settings');
             this.performanceTier = 'low';
             this.applyLowEndSettings();
+            this.notifyTierChange();
             return true; // Settings changed
         }
 
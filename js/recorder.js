@@ -1,17 +1,41 @@
 // recorder.js - Video Recording with MediaRecorder
 
 export class VideoRecorder {
-    constructor(canvas) {
+    constructor(canvas, audioInput = null) {
         this.canvas = canvas;
+        this.audioInput = audioInput;
         this.mediaRecorder = null;
+        this.mimeType = null;
         this.recordedChunks = [];
         this.isRecording = false;
+        this.isPaused = false;
+        this.isStopping = false;
+        this.isCountingDown = false;
+        this.countdownWake = null; // Resolves the pending countdown step early when cancelled
         this.startTime = null;
+        this.pauseStartedAt = null;
+        this.pausedTotal = 0; // ms spent paused, excluded from duration
         this.recordingDuration = 0;
         this.onRecordingStart = null;
         this.onRecordingStop = null;
+        this.onRecordingPause = null;
+        this.onRecordingResume = null;
+        this.onSegmentComplete = null; // Called with (blob, duration, index) when a limit splits the recording
+        this.onRecordingError = null; // Called with (error) after an encoder failure has stopped the take
         this.onTimeUpdate = null;
         this.enableAudio = false;
+
+        // Duration / size limits (0 = unlimited)
+        this.limits = { maxDuration: 0, maxFileSize: 0, action: 'stop' };
+        this.stream = null;
+        this.recorderOptions = null;
+        this.encoding = null; // { fps, bitrate } currently in use
+        this.segment = null;
+        this.segmentIndex = 0;
+
+        // Crash-safe chunk persistence
+        this.sessionStore = null;
+        this.sessionQueue = Promise.resolve();
     }
 
     /**
@@ -23,9 +47,16 @@ export class VideoRecorder {
 
     /**
      * Get supported MIME types
+     * @param {boolean} withAudio - Prefer containers with an audio codec
      */
-    static getSupportedMimeType() {
-        const types = [
+    static getSupportedMimeType(withAudio = false) {
+        const types = withAudio ? [
+            'video/webm;codecs=vp9,opus',
+            'video/webm;codecs=vp8,opus',
+            'video/webm',
+            'video/mp4;codecs=avc1,mp4a.40.2',
+            'video/mp4'
+        ] : [
             'video/webm;codecs=vp9',
             'video/webm;codecs=vp8',
             'video/webm',
@@ -42,23 +73,72 @@ export class VideoRecorder {
         return 'video/webm'; // Fallback
     }
 
+    /**
+     * Record from a different canvas (e.g. a framed output surface)
+     * Takes effect on the next start().
+     */
+    setSourceCanvas(canvas) {
+        if (this.isRecording) {
+            console.warn('Cannot change recording source while recording');
+            return;
+        }
+        this.canvas = canvas;
+    }
+
     /**
      * Start recording with countdown
      * @param {number} fps - Frame rate (default 30)
      * @param {Function} countdownCallback - Called with countdown number
      * @param {string} performanceTier - Device performance tier
+     * @param {number} seconds - Countdown length (0 starts immediately)
+     * @returns {Promise<boolean>} False if the countdown was cancelled
      */
-    async startWithCountdown(fps = 30, countdownCallback, performanceTier = 'high') {
-        // 3-2-1 countdown
-        for (let i = 3; i > 0; i--) {
-            if (countdownCallback) {
-                countdownCallback(i);
+    async startWithCountdown(fps = 30, countdownCallback, performanceTier = 'high', seconds = 3) {
+        this.isCountingDown = true;
+
+        try {
+            for (let i = seconds; i > 0; i--) {
+                if (countdownCallback) {
+                    countdownCallback(i);
+                }
+
+                const completed = await this.countdownStep(1000);
+                if (!completed) {
+                    console.log('Countdown cancelled');
+                    return false;
+                }
             }
-            await this.sleep(1000);
+        } finally {
+            this.isCountingDown = false;
+            this.countdownWake = null;
         }
 
         // Start recording with adaptive settings
-        return this.start(fps, performanceTier);
+        await this.start(fps, performanceTier);
+        return true;
+    }
+
+    /**
+     * Wait one countdown step
+     * @returns {Promise<boolean>} False if cancelCountdown() interrupted it
+     */
+    countdownStep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => resolve(true), ms);
+            this.countdownWake = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+        });
+    }
+
+    /**
+     * Abort a running countdown before recording starts
+     */
+    cancelCountdown() {
+        if (this.isCountingDown && this.countdownWake) {
+            this.countdownWake();
+        }
     }
 
     /**
@@ -75,48 +155,41 @@ export class VideoRecorder {
             // Get canvas stream
             const stream = this.canvas.captureStream(fps);
 
-            // TODO: Add audio stream if enabled
-            // if (this.enableAudio) {
-            //     // Add microphone audio
-            // }
+            // Add microphone audio if enabled
+            const audioTracks = this.enableAudio && this.audioInput ? this.audioInput.getTracks() : [];
+            audioTracks.forEach(track => stream.addTrack(track));
+            const hasAudio = audioTracks.length > 0;
+
+            if (this.enableAudio && !hasAudio) {
+                console.warn('Audio enabled but no microphone track available - recording without audio');
+            }
 
             // Create MediaRecorder with adaptive bitrate
-            const mimeType = VideoRecorder.getSupportedMimeType();
+            const mimeType = VideoRecorder.getSupportedMimeType(hasAudio);
             const bitrate = this.getAdaptiveBitrate(performanceTier, fps);
             const options = {
                 mimeType,
                 videoBitsPerSecond: bitrate
             };
 
-            console.log(`Recording: ${fps} FPS @ ${(bitrate / 1000000).toFixed(1)} Mbps (${performanceTier} tier)`);
-
-            this.mediaRecorder = new MediaRecorder(stream, options);
-            this.recordedChunks = [];
-
-            // Set up event handlers
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data && event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
-
-            this.mediaRecorder.onstop = () => {
-                console.log('Recording stopped');
-                this.isRecording = false;
+            if (hasAudio) {
+                options.audioBitsPerSecond = 128000;
+            }
 
-                if (this.onRecordingStop) {
-                    this.onRecordingStop(this.recordingDuration);
-                }
-            };
+            console.log(`Recording: ${fps} FPS @ ${(bitrate / 1000000).toFixed(1)} Mbps (${performanceTier} tier)${hasAudio ? ' + audio' : ''}`);
 
-            this.mediaRecorder.onerror = (error) => {
-                console.error('MediaRecorder error:', error);
-            };
+            this.stream = stream;
+            this.recorderOptions = options;
+            this.encoding = { fps, bitrate };
+            this.mimeType = mimeType;
+            this.resetPauseState();
+            this.startTime = Date.now();
+            this.segmentIndex = 0;
+            this.isStopping = false;
 
             // Start recording
-            this.mediaRecorder.start(100); // Collect data every 100ms
+            this.startSegment();
             this.isRecording = true;
-            this.startTime = Date.now();
 
             // Start duration timer
             this.startDurationTimer();
@@ -133,6 +206,252 @@ export class VideoRecorder {
         }
     }
 
+    /**
+     * Start a new MediaRecorder segment on the shared canvas stream
+     */
+    startSegment() {
+        const segment = this.createSegment();
+        const mediaRecorder = new MediaRecorder(this.stream, this.recorderOptions);
+
+        // Set up event handlers
+        mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                segment.chunks.push(event.data);
+                segment.bytes += event.data.size;
+                this.persistChunk(segment, event.data);
+            }
+        };
+
+        mediaRecorder.onstop = () => this.onSegmentStop(segment);
+
+        mediaRecorder.onerror = (error) => {
+            console.error('MediaRecorder error:', error);
+        };
+
+        mediaRecorder.start(100); // Collect data every 100ms
+
+        this.mediaRecorder = mediaRecorder;
+        this.segment = segment;
+        this.recordedChunks = segment.chunks;
+    }
+
+    /**
+     * Create bookkeeping for one output file and register it for recovery
+     */
+    createSegment() {
+        const segment = {
+            index: this.segmentIndex,
+            chunks: [],
+            bytes: 0,
+            startElapsed: this.getElapsed(),
+            duration: 0,
+            split: false,
+            sessionId: null,
+            chunkIndex: 0
+        };
+
+        this.beginSession(segment);
+        return segment;
+    }
+
+    /**
+     * Handle a MediaRecorder segment that has delivered its last data
+     */
+    onSegmentStop(segment) {
+        this.endSession(segment);
+
+        if (segment.split) {
+            this.completeSegment(segment);
+            return;
+        }
+
+        console.log('Recording stopped');
+        this.isRecording = false;
+        this.isPaused = false;
+        this.isStopping = false;
+
+        if (this.onRecordingStop) {
+            this.onRecordingStop(segment.duration);
+        }
+    }
+
+    /**
+     * Hand a finished (non-final) segment to listeners
+     */
+    completeSegment(segment) {
+        const blob = new Blob(segment.chunks, { type: this.mimeType });
+        console.log(`Segment ${segment.index + 1} complete: ${VideoRecorder.formatDuration(segment.duration)}, ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+
+        if (this.onSegmentComplete) {
+            this.onSegmentComplete(blob, segment.duration, segment.index);
+        }
+    }
+
+    /**
+     * Set recording limits
+     * @param {Object} limits - { maxDuration (ms), maxFileSize (bytes), action ('stop' | 'split') }
+     */
+    setLimits(limits) {
+        this.limits = { ...this.limits, ...limits };
+    }
+
+    /**
+     * Check if any limit is configured
+     */
+    hasLimits() {
+        return this.limits.maxDuration > 0 || this.limits.maxFileSize > 0;
+    }
+
+    /**
+     * Get recorded time of the current segment
+     */
+    getSegmentElapsed() {
+        return this.segment ? this.getElapsed() - this.segment.startElapsed : 0;
+    }
+
+    /**
+     * How close the current segment is to its nearest limit (0 - 1)
+     */
+    getLimitProgress() {
+        if (!this.segment) return 0;
+
+        const { maxDuration, maxFileSize } = this.limits;
+        const durationProgress = maxDuration > 0 ? this.getSegmentElapsed() / maxDuration : 0;
+        const sizeProgress = maxFileSize > 0 ? this.segment.bytes / maxFileSize : 0;
+
+        return Math.min(1, Math.max(durationProgress, sizeProgress));
+    }
+
+    /**
+     * Stop or split once the current segment reaches a limit
+     */
+    checkLimits() {
+        if (!this.hasLimits() || this.isPaused || this.isStopping || this.getLimitProgress() < 1) return;
+
+        if (this.limits.action === 'split') {
+            console.log(`Limit reached - starting segment ${this.segmentIndex + 2}`);
+            this.splitSegment();
+        } else {
+            console.log('Limit reached - stopping recording');
+            this.stop();
+        }
+    }
+
+    /**
+     * Roll over into a new segment file
+     * The next MediaRecorder starts before the current one stops, so no frames are lost.
+     */
+    splitSegment() {
+        const previousRecorder = this.mediaRecorder;
+        const previousSegment = this.segment;
+
+        previousSegment.duration = this.getSegmentElapsed();
+        previousSegment.split = true;
+
+        this.segmentIndex++;
+        this.startSegment();
+        previousRecorder.stop();
+    }
+
+    /**
+     * Set store used to stream chunks to disk as they arrive
+     * @param {RecordingSessionStore} sessionStore
+     */
+    setSessionStore(sessionStore) {
+        this.sessionStore = sessionStore;
+    }
+
+    /**
+     * Register a recoverable session for a segment that is starting
+     * Writes are queued so chunks land in order even though IndexedDB is async
+     */
+    beginSession(segment) {
+        if (!this.sessionStore || !this.sessionStore.isAvailable()) return;
+
+        const mimeType = this.mimeType;
+
+        this.sessionQueue = this.sessionQueue
+            .then(() => this.sessionStore.beginSession({ mimeType }))
+            .then((id) => {
+                segment.sessionId = id;
+            })
+            .catch((error) => console.error('Failed to start recovery session:', error));
+    }
+
+    /**
+     * Queue a segment chunk for crash-safe storage
+     */
+    persistChunk(segment, data) {
+        if (!this.sessionStore || !this.sessionStore.isAvailable()) return;
+
+        const index = segment.chunkIndex++;
+        const duration = this.getElapsed() - segment.startElapsed;
+
+        this.sessionQueue = this.sessionQueue
+            .then(() => {
+                if (segment.sessionId === null) return;
+                return this.sessionStore.appendChunk(segment.sessionId, index, data, duration);
+            })
+            .catch((error) => console.error('Failed to persist chunk:', error));
+    }
+
+    /**
+     * Drop a segment's recovery session once it finished normally
+     */
+    endSession(segment) {
+        if (!this.sessionStore || !this.sessionStore.isAvailable()) return;
+
+        this.sessionQueue = this.sessionQueue
+            .then(() => {
+                if (segment.sessionId === null) return;
+                const sessionId = segment.sessionId;
+                segment.sessionId = null;
+                return this.sessionStore.finishSession(sessionId);
+            })
+            .catch((error) => console.error('Failed to close recovery session:', error));
+    }
+
+    /**
+     * Choose slow-motion / timelapse output
+     * MediaRecorder writes wall-clock timestamps, so only normal speed is possible.
+     * @param {string} mode - 'normal', 'slowmo' or 'timelapse'
+     * @returns {boolean} True if the mode is supported by this backend
+     */
+    setSpeedMode(mode) {
+        return mode === 'normal';
+    }
+
+    /**
+     * Output time per real second (2 = half-speed slow motion, 0.1 = 10x timelapse)
+     */
+    getSpeedRatio() {
+        return 1;
+    }
+
+    /**
+     * Convert recorded (real) time to playback time in the output file
+     */
+    toOutputTime(ms) {
+        return ms * this.getSpeedRatio();
+    }
+
+    /**
+     * Check if bitrate / frame rate can change mid-recording
+     * MediaRecorder fixes both when it starts.
+     */
+    supportsLiveAdaptation() {
+        return false;
+    }
+
+    /**
+     * Change bitrate and capture rate mid-recording
+     * @param {Object} encoding - { fps, bitrate }
+     * @returns {boolean} True if the change was applied
+     */
+    adjustEncoding(encoding) {
+        return false;
+    }
+
     /**
      * Get adaptive bitrate based on performance tier
      * Optimized for file size while maintaining quality
@@ -179,23 +498,100 @@ export class VideoRecorder {
                 return;
             }
 
-            this.recordingDuration = Date.now() - this.startTime;
+            this.recordingDuration = this.getElapsed();
 
             if (this.onTimeUpdate) {
                 this.onTimeUpdate(this.recordingDuration);
             }
+
+            this.checkLimits();
         }, 100);
     }
 
+    /**
+     * Get recorded time so far, excluding paused time
+     */
+    getElapsed() {
+        if (!this.startTime) return 0;
+
+        const now = this.isPaused ? this.pauseStartedAt : Date.now();
+        return now - this.startTime - this.pausedTotal;
+    }
+
+    /**
+     * Pause recording
+     */
+    pause() {
+        if (!this.isRecording || this.isPaused || this.isStopping) return;
+
+        this.mediaRecorder.pause();
+        this.markPaused();
+    }
+
+    /**
+     * Resume a paused recording
+     */
+    resume() {
+        if (!this.isRecording || !this.isPaused || this.isStopping) return;
+
+        this.mediaRecorder.resume();
+        this.markResumed();
+    }
+
+    /**
+     * Record the start of a pause and notify listeners
+     */
+    markPaused() {
+        this.isPaused = true;
+        this.pauseStartedAt = Date.now();
+        this.recordingDuration = this.getElapsed();
+
+        console.log(`Recording paused at ${VideoRecorder.formatDuration(this.recordingDuration)}`);
+
+        if (this.onRecordingPause) {
+            this.onRecordingPause(this.recordingDuration);
+        }
+    }
+
+    /**
+     * Fold the finished pause into the paused total and notify listeners
+     */
+    markResumed() {
+        this.pausedTotal += Date.now() - this.pauseStartedAt;
+        this.pauseStartedAt = null;
+        this.isPaused = false;
+
+        console.log('Recording resumed');
+
+        if (this.onRecordingResume) {
+            this.onRecordingResume(this.recordingDuration);
+        }
+    }
+
+    /**
+     * Clear pause bookkeeping for a new recording
+     */
+    resetPauseState() {
+        this.isPaused = false;
+        this.pauseStartedAt = null;
+        this.pausedTotal = 0;
+    }
+
     /**
      * Stop recording
      */
     stop() {
-        if (!this.isRecording) {
+        if (!this.isRecording || this.isStopping) {
             console.warn('Not recording');
             return;
         }
 
+        this.isStopping = true;
+
+        // Timer ticks every 100ms - take the exact length now
+        this.recordingDuration = this.getElapsed();
+        this.segment.duration = this.getSegmentElapsed();
+
         this.mediaRecorder.stop();
         console.log('Stopping recording...');
     }
@@ -209,7 +605,7 @@ export class VideoRecorder {
             return null;
         }
 
-        const mimeType = VideoRecorder.getSupportedMimeType();
+        const mimeType = this.mimeType || VideoRecorder.getSupportedMimeType();
         const blob = new Blob(this.recordedChunks, { type: mimeType });
 
         console.log(`Video blob created: ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
@@ -224,24 +620,52 @@ export class VideoRecorder {
         const blob = this.getBlob();
         if (!blob) return;
 
-        // Determine file extension from MIME type
-        const mimeType = blob.type;
-        let extension = 'webm';
-        if (mimeType.includes('mp4')) {
-            extension = 'mp4';
-        }
+        VideoRecorder.downloadBlob(blob, `${filename}-${Date.now()}`);
+    }
+
+    /**
+     * Download any Blob, picking the extension from its MIME type
+     * @param {Blob} blob - Data to download
+     * @param {string} basename - File name without extension
+     */
+    static downloadBlob(blob, basename) {
+        const extension = VideoRecorder.getFileExtension(blob.type);
 
         // Create download link
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${filename}-${Date.now()}.${extension}`;
+        a.download = `${basename}.${extension}`;
         a.click();
 
         // Clean up
         setTimeout(() => URL.revokeObjectURL(url), 100);
 
-        console.log('Video download initiated');
+        console.log('Download initiated:', a.download);
+    }
+
+    /**
+     * Get file extension for a MIME type
+     */
+    static getFileExtension(mimeType = '') {
+        const fileExtensions = {
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'application/json': 'json'
+        };
+
+        const baseType = mimeType.split(';')[0];
+        if (fileExtensions[baseType]) {
+            return fileExtensions[baseType];
+        }
+
+        if (mimeType.includes('mp4')) {
+            return 'mp4';
+        }
+
+        return 'webm';
     }
 
     /**
@@ -261,6 +685,8 @@ export class VideoRecorder {
         this.recordedChunks = [];
         this.recordingDuration = 0;
         this.startTime = null;
+        this.segment = null;
+        this.resetPauseState();
     }
 
     /**
@@ -282,8 +708,30 @@ export class VideoRecorder {
 
     /**
      * Set audio recording
+     * Acquires the microphone up front so the level meter is live before recording starts
      */
-    setEnableAudio(enabled) {
+    async setEnableAudio(enabled) {
         this.enableAudio = enabled;
+
+        if (!this.audioInput) return;
+
+        if (enabled) {
+            try {
+                await this.audioInput.init();
+            } catch (error) {
+                this.enableAudio = false;
+                throw error;
+            }
+        } else {
+            this.audioInput.stop();
+        }
+    }
+
+    /**
+     * Get current microphone input level (0 - 1)
+     */
+    getAudioLevel() {
+        if (!this.enableAudio || !this.audioInput) return 0;
+        return this.audioInput.getLevel();
     }
 }
@@ -0,0 +1,226 @@
+// replay-buffer.js - Always-On Rolling Buffer for Instant Replay
+
+import { isWebCodecsSupported, getVideoEncoderConfig } from './webcodecs-utils.js';
+
+export class ReplayBuffer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.encoder = null;
+        this.frameTimer = null;
+        this.frameCanvas = document.createElement('canvas');
+        this.frameSize = { width: 0, height: 0 };
+        this.fps = 30;
+        this.windowSeconds = 15;
+        this.keyFrameInterval = 1; // seconds - also the granularity of the window
+        this.frameCount = 0;
+        this.captureStart = 0;
+        this.decoderMeta = null;
+        this.isRunning = false;
+
+        // Encoded chunks grouped by GOP so whole groups can be dropped from the front
+        this.gops = [];
+        this.bytes = 0;
+    }
+
+    /**
+     * Check WebCodecs + MP4 muxer support
+     */
+    static isSupported() {
+        return isWebCodecsSupported();
+    }
+
+    /**
+     * Start buffering the canvas
+     * @param {Object} options - { seconds, fps, bitrate }
+     */
+    async start(options = {}) {
+        if (this.isRunning) {
+            this.stop();
+        }
+
+        // H.264 requires even dimensions
+        const width = this.canvas.width & ~1;
+        const height = this.canvas.height & ~1;
+        const fps = options.fps || 30;
+        const bitrate = options.bitrate || 2500000;
+
+        const config = await getVideoEncoderConfig(width, height, bitrate, fps);
+        if (!config) {
+            throw new Error('H.264 encoding is not supported on this device');
+        }
+
+        this.fps = fps;
+        this.windowSeconds = options.seconds || 15;
+        this.frameSize = { width, height };
+        this.frameCanvas.width = width;
+        this.frameCanvas.height = height;
+        this.frameCount = 0;
+        this.decoderMeta = null;
+        this.gops = [];
+        this.bytes = 0;
+
+        this.encoder = new VideoEncoder({
+            output: (chunk, meta) => this.onChunk(chunk, meta),
+            error: (error) => console.error('Replay encoder error:', error)
+        });
+        this.encoder.configure(config);
+
+        this.captureStart = performance.now();
+        this.frameTimer = setInterval(() => this.captureFrame(), 1000 / fps);
+        this.isRunning = true;
+
+        console.log(`Instant replay: last ${this.windowSeconds}s at ${width}x${height} ${fps} FPS @ ${(bitrate / 1000000).toFixed(1)} Mbps`);
+    }
+
+    /**
+     * Buffer a different canvas (takes effect on the next start())
+     */
+    setSourceCanvas(canvas) {
+        this.canvas = canvas;
+    }
+
+    /**
+     * Change the window length without restarting
+     */
+    setWindow(seconds) {
+        this.windowSeconds = seconds;
+        this.prune();
+    }
+
+    /**
+     * Encode the current canvas frame
+     */
+    captureFrame() {
+        if (!this.encoder || this.encoder.state !== 'configured') return;
+
+        // Never let the replay encoder compete with recording for a backlog
+        if (this.encoder.encodeQueueSize > 2) return;
+
+        const timestamp = Math.round((performance.now() - this.captureStart) * 1000);
+        const frame = new VideoFrame(this.getFrameSource(), { timestamp });
+        const keyFrame = this.frameCount % Math.round(this.fps * this.keyFrameInterval) === 0;
+
+        this.encoder.encode(frame, { keyFrame });
+        frame.close();
+        this.frameCount++;
+    }
+
+    /**
+     * Get a frame source matching the configured encoder size
+     */
+    getFrameSource() {
+        const { width, height } = this.frameSize;
+
+        if (this.canvas.width === width && this.canvas.height === height) {
+            return this.canvas;
+        }
+
+        const ctx = this.frameCanvas.getContext('2d');
+        ctx.drawImage(this.canvas, 0, 0, width, height);
+        return this.frameCanvas;
+    }
+
+    /**
+     * Store an encoded chunk and drop anything older than the window
+     */
+    onChunk(chunk, meta) {
+        if (meta && meta.decoderConfig) {
+            this.decoderMeta = meta;
+        }
+
+        if (chunk.type === 'key' || this.gops.length === 0) {
+            this.gops.push({ startTimestamp: chunk.timestamp, chunks: [], bytes: 0 });
+        }
+
+        const gop = this.gops[this.gops.length - 1];
+        gop.chunks.push(chunk);
+        gop.bytes += chunk.byteLength;
+        this.bytes += chunk.byteLength;
+
+        this.prune();
+    }
+
+    /**
+     * Drop whole GOPs while the rest still covers the window
+     */
+    prune() {
+        const windowMicros = this.windowSeconds * 1000000;
+
+        while (this.gops.length > 1) {
+            const newest = this.getNewestTimestamp();
+            if (newest - this.gops[1].startTimestamp < windowMicros) break;
+
+            this.bytes -= this.gops.shift().bytes;
+        }
+    }
+
+    /**
+     * Timestamp of the most recent buffered chunk
+     */
+    getNewestTimestamp() {
+        const lastGop = this.gops[this.gops.length - 1];
+        return lastGop.chunks[lastGop.chunks.length - 1].timestamp;
+    }
+
+    /**
+     * Length of buffered video in milliseconds
+     */
+    getBufferedDuration() {
+        if (this.gops.length === 0) return 0;
+        return (this.getNewestTimestamp() - this.gops[0].startTimestamp) / 1000;
+    }
+
+    /**
+     * Mux the buffered window into an MP4 file
+     * @returns {Promise<{blob: Blob, duration: number}|null>}
+     */
+    async save() {
+        if (!this.isRunning || this.gops.length === 0) return null;
+
+        // Include frames still inside the encoder
+        await this.encoder.flush();
+
+        const { width, height } = this.frameSize;
+        const gops = this.gops.slice();
+        const duration = this.getBufferedDuration();
+
+        const muxer = new Mp4Muxer.Muxer({
+            target: new Mp4Muxer.ArrayBufferTarget(),
+            video: { codec: 'avc', width, height, frameRate: this.fps },
+            fastStart: 'in-memory',
+            firstTimestampBehavior: 'offset'
+        });
+
+        let first = true;
+        for (const gop of gops) {
+            for (const chunk of gop.chunks) {
+                muxer.addVideoChunk(chunk, first ? this.decoderMeta : undefined);
+                first = false;
+            }
+        }
+
+        muxer.finalize();
+
+        const blob = new Blob([muxer.target.buffer], { type: 'video/mp4' });
+        console.log(`Replay saved: ${(duration / 1000).toFixed(1)}s, ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+
+        return { blob, duration };
+    }
+
+    /**
+     * Stop buffering and release memory
+     */
+    stop() {
+        clearInterval(this.frameTimer);
+        this.frameTimer = null;
+
+        if (this.encoder && this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+
+        this.encoder = null;
+        this.gops = [];
+        this.bytes = 0;
+        this.isRunning = false;
+    }
+}
@@ -0,0 +1,169 @@
+// session-store.js - Crash-Safe Storage for In-Progress Recordings
+
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './database.js';
+
+const SESSION_LOCK_PREFIX = 'clone-recorder-session-';
+// Without Web Locks, a session written to this recently is assumed to belong to another open tab
+const ACTIVE_SESSION_MS = 30000;
+
+export class RecordingSessionStore {
+    constructor() {
+        this.db = null;
+        this.lockReleases = new Map(); // sessionId -> release function for the lock this tab holds
+    }
+
+    /**
+     * Open the session database
+     */
+    async init() {
+        this.db = await openDatabase();
+    }
+
+    /**
+     * Check if the store is available
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * Register a new in-progress recording
+     * @param {Object} details - { mimeType }
+     * @returns {Promise<number>} Session id
+     */
+    async beginSession(details) {
+        const session = {
+            mimeType: details.mimeType,
+            startedAt: Date.now(),
+            updatedAt: Date.now(),
+            duration: 0,
+            chunkCount: 0
+        };
+
+        const tx = this.db.transaction(STORES.sessions, 'readwrite');
+        const id = await promisifyRequest(tx.objectStore(STORES.sessions).add(session));
+        await transactionDone(tx);
+
+        await this.holdLock(id);
+        return id;
+    }
+
+    /**
+     * Hold a Web Lock for the session so other tabs know it is still being written
+     */
+    holdLock(sessionId) {
+        if (!navigator.locks) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            navigator.locks.request(SESSION_LOCK_PREFIX + sessionId, () => new Promise((release) => {
+                this.lockReleases.set(sessionId, release);
+                resolve();
+            })).catch((error) => {
+                console.warn('Failed to lock recording session:', error);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Persist one recorded chunk
+     * @param {number} sessionId
+     * @param {number} index - Chunk sequence number
+     * @param {Blob} data - Chunk data
+     * @param {number} duration - Recording duration so far (ms)
+     */
+    async appendChunk(sessionId, index, data, duration) {
+        const tx = this.db.transaction([STORES.sessions, STORES.chunks], 'readwrite');
+        const sessions = tx.objectStore(STORES.sessions);
+
+        tx.objectStore(STORES.chunks).put({ sessionId, index, data });
+
+        const session = await promisifyRequest(sessions.get(sessionId));
+        if (session) {
+            session.updatedAt = Date.now();
+            session.duration = duration;
+            session.chunkCount = index + 1;
+            sessions.put(session);
+        }
+
+        await transactionDone(tx);
+    }
+
+    /**
+     * Remove a session and its chunks once the recording has been handled
+     */
+    async finishSession(sessionId) {
+        const tx = this.db.transaction([STORES.sessions, STORES.chunks], 'readwrite');
+        tx.objectStore(STORES.sessions).delete(sessionId);
+        tx.objectStore(STORES.chunks).delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+        await transactionDone(tx);
+
+        const release = this.lockReleases.get(sessionId);
+        if (release) {
+            this.lockReleases.delete(sessionId);
+            release();
+        }
+    }
+
+    /**
+     * Get sessions left behind by a crashed or closed tab
+     * Sessions another open tab is still recording are skipped; abandoned empty ones are deleted.
+     */
+    async getUnfinishedSessions() {
+        const tx = this.db.transaction(STORES.sessions, 'readonly');
+        const sessions = await promisifyRequest(tx.objectStore(STORES.sessions).getAll());
+        const heldLocks = await this.getHeldLocks();
+
+        const abandoned = sessions.filter(session => !this.isSessionActive(session, heldLocks));
+        const empty = abandoned.filter(session => session.chunkCount === 0);
+
+        for (const session of empty) {
+            await this.finishSession(session.id);
+        }
+
+        return abandoned.filter(session => session.chunkCount > 0);
+    }
+
+    /**
+     * Names of the session locks currently held by any tab, or null without Web Locks
+     */
+    async getHeldLocks() {
+        if (!navigator.locks) return null;
+
+        try {
+            const { held } = await navigator.locks.query();
+            return new Set(held.map(lock => lock.name));
+        } catch (error) {
+            console.warn('Failed to query recording session locks:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check if a session is still being recorded by this or another tab
+     */
+    isSessionActive(session, heldLocks) {
+        if (this.lockReleases.has(session.id)) return true;
+        if (heldLocks) return heldLocks.has(SESSION_LOCK_PREFIX + session.id);
+        return Date.now() - session.updatedAt < ACTIVE_SESSION_MS;
+    }
+
+    /**
+     * Rebuild a playable file from a session's chunks
+     * @returns {Promise<Blob|null>}
+     */
+    async recoverSession(sessionId) {
+        const tx = this.db.transaction([STORES.sessions, STORES.chunks], 'readonly');
+        const session = await promisifyRequest(tx.objectStore(STORES.sessions).get(sessionId));
+        const chunks = await promisifyRequest(
+            tx.objectStore(STORES.chunks).index('sessionId').getAll(sessionId)
+        );
+
+        if (!session || chunks.length === 0) {
+            return null;
+        }
+
+        chunks.sort((a, b) => a.index - b.index);
+        return new Blob(chunks.map(chunk => chunk.data), { type: session.mimeType });
+    }
+}
@@ -0,0 +1,80 @@
+// share.js - Web Share, Share Target Inbox and File Handling
+
+import { VideoRecorder } from './recorder.js';
+
+// Must match SHARE_INBOX_CACHE in service-worker.js
+const SHARE_INBOX_CACHE = 'clone-recorder-share-inbox';
+
+/**
+ * Check the browser can share files (not just links)
+ */
+export function canShareFiles() {
+    return typeof navigator.canShare === 'function';
+}
+
+/**
+ * Share a Blob through the native share sheet, falling back to download
+ * @param {Blob} blob - Video or image to share
+ * @param {string} basename - File name without extension
+ * @param {string} title - Share sheet title
+ * @returns {Promise<string>} 'shared', 'cancelled' or 'downloaded'
+ */
+export async function shareBlob(blob, basename, title = 'Clone Recorder') {
+    const extension = VideoRecorder.getFileExtension(blob.type);
+    const file = new File([blob], `${basename}.${extension}`, { type: blob.type });
+
+    if (canShareFiles() && navigator.canShare({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title });
+            return 'shared';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return 'cancelled';
+            }
+            console.warn('Share failed - downloading instead:', error);
+        }
+    }
+
+    VideoRecorder.downloadBlob(blob, basename);
+    return 'downloaded';
+}
+
+/**
+ * Take files that other apps shared into the PWA (stored by the service worker)
+ * @returns {Promise<File[]>}
+ */
+export async function takeSharedFiles() {
+    if (!('caches' in window) || !(await caches.has(SHARE_INBOX_CACHE))) {
+        return [];
+    }
+
+    const cache = await caches.open(SHARE_INBOX_CACHE);
+    const requests = await cache.keys();
+    const files = [];
+
+    for (const request of requests) {
+        const response = await cache.match(request);
+        const blob = await response.blob();
+        const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-video');
+
+        files.push(new File([blob], name, { type: blob.type }));
+        await cache.delete(request);
+    }
+
+    return files;
+}
+
+/**
+ * Receive files opened with the installed app (File Handling API)
+ * @param {Function} onFiles - Called with File[]
+ */
+export function handleLaunchedFiles(onFiles) {
+    if (!('launchQueue' in window)) return;
+
+    window.launchQueue.setConsumer(async (launchParams) => {
+        if (!launchParams.files || launchParams.files.length === 0) return;
+
+        const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+        onFiles(files);
+    });
+}
@@ -0,0 +1,188 @@
+// take-library.js - Persistent Take Gallery in IndexedDB
+
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './database.js';
+import { createVideoThumbnail, loadVideo } from './video-utils.js';
+import { readMp4Metadata } from './mp4-metadata.js';
+
+const VIDEO_EXTENSIONS = {
+    webm: 'video/webm',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime'
+};
+
+export class TakeLibrary {
+    constructor() {
+        this.db = null;
+        this.onChange = null;
+    }
+
+    /**
+     * Open the take database
+     */
+    async init() {
+        this.db = await openDatabase();
+        console.log('Take library initialized');
+    }
+
+    /**
+     * Check if the library is available
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * Save a finished recording
+     * @param {Blob} blob - Recorded video (or photo, with kind 'photo')
+     * @param {Object} details - Optional { name, duration, thumbnail, timeline, kind, dimensions }
+     * @returns {Promise<Object>} Stored take record
+     */
+    async addTake(blob, details = {}) {
+        const createdAt = Date.now();
+        const thumbnail = details.thumbnail !== undefined
+            ? details.thumbnail
+            : await createVideoThumbnail(blob);
+
+        const take = {
+            name: details.name || TakeLibrary.defaultName(createdAt),
+            blob,
+            thumbnail,
+            duration: details.duration || 0,
+            size: blob.size,
+            mimeType: blob.type,
+            timeline: details.timeline || null,
+            kind: details.kind || 'video',
+            dimensions: details.dimensions || null,
+            createdAt
+        };
+
+        const tx = this.db.transaction(STORES.takes, 'readwrite');
+        take.id = await promisifyRequest(tx.objectStore(STORES.takes).add(take));
+        await transactionDone(tx);
+
+        console.log(`Take saved: ${take.name} (${(take.size / 1024 / 1024).toFixed(2)} MB)`);
+        this.notifyChange();
+        return take;
+    }
+
+    /**
+     * Save a still photo
+     * @param {Blob} blob - PNG or JPEG image
+     * @param {Object} details - { name, thumbnail, dimensions: { width, height } }
+     */
+    addPhoto(blob, details = {}) {
+        return this.addTake(blob, {
+            ...details,
+            name: details.name || TakeLibrary.defaultName(Date.now(), 'Photo'),
+            kind: 'photo'
+        });
+    }
+
+    /**
+     * Import a video file from outside the app (file picker, share target, file handler)
+     * @param {File} file
+     * @returns {Promise<Object>} Stored take record
+     */
+    async importFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const mimeType = file.type || VIDEO_EXTENSIONS[extension];
+
+        if (!mimeType || !mimeType.startsWith('video/')) {
+            throw new Error(`${file.name} is not a video file`);
+        }
+
+        let duration = 0;
+        try {
+            const loaded = await loadVideo(file);
+            duration = Number.isFinite(loaded.duration) ? Math.round(loaded.duration * 1000) : 0;
+            URL.revokeObjectURL(loaded.url);
+        } catch (error) {
+            console.warn(`Could not read duration of ${file.name}:`, error);
+        }
+
+        // MP4s recorded with "Embed Take Timeline" carry their timeline along
+        let timeline = null;
+        if (mimeType === 'video/mp4') {
+            try {
+                const metadata = await readMp4Metadata(file);
+                timeline = metadata && Array.isArray(metadata.events) ? metadata : null;
+            } catch (error) {
+                console.warn(`Could not read embedded timeline of ${file.name}:`, error);
+            }
+        }
+
+        const blob = new Blob([file], { type: mimeType });
+        return this.addTake(blob, {
+            name: file.name.replace(/\.[^.]+$/, '') || undefined,
+            duration,
+            timeline
+        });
+    }
+
+    /**
+     * Get all takes, newest first
+     */
+    async getAll() {
+        const tx = this.db.transaction(STORES.takes, 'readonly');
+        const takes = await promisifyRequest(tx.objectStore(STORES.takes).index('createdAt').getAll());
+        return takes.reverse();
+    }
+
+    /**
+     * Get a single take
+     */
+    async get(id) {
+        const tx = this.db.transaction(STORES.takes, 'readonly');
+        return promisifyRequest(tx.objectStore(STORES.takes).get(id));
+    }
+
+    /**
+     * Rename a take
+     */
+    async rename(id, name) {
+        const tx = this.db.transaction(STORES.takes, 'readwrite');
+        const store = tx.objectStore(STORES.takes);
+        const take = await promisifyRequest(store.get(id));
+
+        if (!take) {
+            throw new Error(`Take ${id} not found`);
+        }
+
+        take.name = name;
+        store.put(take);
+        await transactionDone(tx);
+
+        this.notifyChange();
+        return take;
+    }
+
+    /**
+     * Delete a take
+     */
+    async delete(id) {
+        const tx = this.db.transaction(STORES.takes, 'readwrite');
+        tx.objectStore(STORES.takes).delete(id);
+        await transactionDone(tx);
+
+        console.log(`Take ${id} deleted`);
+        this.notifyChange();
+    }
+
+    /**
+     * Notify listeners that the library contents changed
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Default take name based on creation date
+     */
+    static defaultName(timestamp, prefix = 'Take') {
+        const date = new Date(timestamp);
+        return `${prefix} ${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+    }
+}
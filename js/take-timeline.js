@@ -0,0 +1,95 @@
+// take-timeline.js - Event Log Recorded Alongside Each Take
+
+const TIMELINE_VERSION = 1;
+
+export class TakeTimeline {
+    constructor() {
+        this.events = [];
+        this.clock = null;
+        this.startedAt = null;
+        this.context = {};
+    }
+
+    /**
+     * Begin logging a take
+     * @param {Function} clock - Returns recorded time in ms (paused time excluded)
+     * @param {Object} context - Static details stored with the timeline (tier, settings, backend)
+     */
+    start(clock, context = {}) {
+        this.events = [];
+        this.clock = clock;
+        this.startedAt = Date.now();
+        this.context = context;
+    }
+
+    /**
+     * Check if a take is being logged
+     */
+    isActive() {
+        return this.clock !== null;
+    }
+
+    /**
+     * Add an event at the current recorded time
+     * @param {string} type - e.g. 'gesture', 'spawn', 'dismiss', 'settings', 'pause'
+     * @param {Object} data - Event details
+     */
+    log(type, data = {}) {
+        if (!this.isActive()) return;
+
+        this.events.push({ t: Math.round(this.clock()), type, ...data });
+    }
+
+    /**
+     * Stop logging
+     */
+    stop() {
+        this.clock = null;
+    }
+
+    /**
+     * Build the timeline document for a range of the take
+     * Event times are rebased so they match the file that covers the range.
+     * @param {number} start - Range start (ms of recorded time)
+     * @param {number} end - Range end (ms), Infinity for the rest of the take
+     * @param {Object} extra - Additional fields (e.g. segment index)
+     */
+    export(start = 0, end = Infinity, extra = {}) {
+        const events = this.events
+            .filter(event => event.t >= start && event.t < end)
+            .map(event => ({ ...event, t: event.t - start }));
+
+        return {
+            version: TIMELINE_VERSION,
+            generator: 'Clone Recorder',
+            startedAt: new Date(this.startedAt + start).toISOString(),
+            duration: Number.isFinite(end) ? end - start : null,
+            ...this.context,
+            ...extra,
+            events
+        };
+    }
+
+    /**
+     * Find changed keys between two settings objects
+     * @returns {Object|null} { key: { from, to } } or null when nothing changed
+     */
+    static diffSettings(previous, next) {
+        const changes = {};
+
+        for (const key of Object.keys(next)) {
+            if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+                changes[key] = { from: previous[key], to: next[key] };
+            }
+        }
+
+        return Object.keys(changes).length > 0 ? changes : null;
+    }
+
+    /**
+     * Wrap a timeline document as a downloadable JSON Blob
+     */
+    static toBlob(timeline) {
+        return new Blob([JSON.stringify(timeline, null, 2)], { type: 'application/json' });
+    }
+}
@@ -0,0 +1,309 @@
+// trim-editor.js - Post-Recording Review and Trim UI
+
+import { loadVideo, seekTo, captureFrame } from './video-utils.js';
+import { trimVideo } from './video-trimmer.js';
+import { VideoRecorder } from './recorder.js';
+
+export class TrimEditor {
+    /**
+     * @param {Object} elements - Review modal elements (see index.html #reviewModal)
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.videoURL = null;
+        this.ownsURL = false;
+        this.duration = 0;
+        this.inPoint = 0;
+        this.outPoint = 0;
+        this.isExporting = false;
+        this.thumbnailToken = 0;
+        this.rangeStopHandler = null;
+        this.onExport = null; // Called with (blob, { duration, inPoint, outPoint })
+        this.onExportClip = null; // Called with { blob, startTime, endTime, aspectRatio, trimmed }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Wire up controls
+     */
+    setupEventListeners() {
+        const { player, inRange, outRange, strip, playRangeBtn, setInBtn, setOutBtn, exportBtn, clipBtn, modal } = this.elements;
+
+        inRange.addEventListener('input', () => {
+            this.setInPoint(parseFloat(inRange.value));
+            this.seek(this.inPoint);
+        });
+
+        outRange.addEventListener('input', () => {
+            this.setOutPoint(parseFloat(outRange.value));
+            this.seek(this.outPoint);
+        });
+
+        setInBtn.addEventListener('click', () => this.setInPoint(player.currentTime));
+        setOutBtn.addEventListener('click', () => this.setOutPoint(player.currentTime));
+        playRangeBtn.addEventListener('click', () => this.playRange());
+        exportBtn.addEventListener('click', () => this.exportTrim());
+        clipBtn.addEventListener('click', () => this.exportClip());
+
+        // Click on the thumbnail strip to scrub
+        strip.addEventListener('click', (e) => {
+            if (e.target === inRange || e.target === outRange) return;
+
+            const rect = strip.getBoundingClientRect();
+            const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            this.seek(ratio * this.duration);
+        });
+
+        player.addEventListener('timeupdate', () => this.updatePlayhead());
+
+        // Release resources when the modal is hidden
+        new MutationObserver(() => {
+            if (modal.classList.contains('hidden')) {
+                this.cleanup();
+            }
+        }).observe(modal, { attributes: true, attributeFilter: ['class'] });
+    }
+
+    /**
+     * Open the review screen for a recording
+     * @param {string} videoURL - Object URL of the recording
+     * @param {number} durationMs - Known duration (WebM files often lack one)
+     * @param {boolean} ownsURL - Revoke the URL when the editor closes
+     */
+    async open(videoURL, durationMs = 0, ownsURL = true) {
+        this.cleanup();
+
+        this.videoURL = videoURL;
+        this.ownsURL = ownsURL;
+        this.elements.modal.classList.remove('hidden');
+        this.elements.player.src = videoURL;
+        this.setExporting(false);
+
+        // Resolve the real duration (needed for the scrubber)
+        let loaded;
+        try {
+            loaded = await loadVideo(videoURL);
+        } catch (error) {
+            console.error('Failed to load video for review:', error);
+            this.elements.modal.classList.add('hidden'); // Cleanup runs from the modal observer
+            alert('Failed to open the video for review: ' + error.message);
+            return;
+        }
+
+        this.duration = Number.isFinite(loaded.duration) && loaded.duration > 0
+            ? loaded.duration
+            : durationMs / 1000;
+
+        for (const range of [this.elements.inRange, this.elements.outRange]) {
+            range.max = this.duration;
+        }
+
+        this.setInPoint(0);
+        this.setOutPoint(this.duration);
+        this.updatePlayhead();
+
+        this.renderThumbnails(loaded.video);
+    }
+
+    /**
+     * Fill the scrubber with frame thumbnails
+     */
+    async renderThumbnails(video) {
+        const token = ++this.thumbnailToken;
+        const { thumbnails } = this.elements;
+        const count = 10;
+
+        thumbnails.replaceChildren();
+
+        try {
+            for (let i = 0; i < count; i++) {
+                const time = (this.duration * (i + 0.5)) / count;
+                await seekTo(video, time);
+
+                // Editor closed or reopened while generating
+                if (token !== this.thumbnailToken) return;
+
+                const frame = captureFrame(video, 96);
+                frame.className = 'trim-thumb';
+                thumbnails.appendChild(frame);
+            }
+        } catch (error) {
+            console.warn('Failed to render trim thumbnails:', error);
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+        }
+    }
+
+    /**
+     * Set trim in point (seconds)
+     */
+    setInPoint(time) {
+        this.inPoint = Math.max(0, Math.min(time, this.outPoint || this.duration));
+        this.elements.inRange.value = this.inPoint;
+        this.updateSelection();
+    }
+
+    /**
+     * Set trim out point (seconds)
+     */
+    setOutPoint(time) {
+        this.outPoint = Math.min(this.duration, Math.max(time, this.inPoint));
+        this.elements.outRange.value = this.outPoint;
+        this.updateSelection();
+    }
+
+    /**
+     * Update selected region and labels
+     */
+    updateSelection() {
+        const { selection, inLabel, outLabel, lengthLabel } = this.elements;
+        const duration = this.duration || 1;
+
+        selection.style.left = `${(this.inPoint / duration) * 100}%`;
+        selection.style.width = `${((this.outPoint - this.inPoint) / duration) * 100}%`;
+
+        inLabel.textContent = TrimEditor.formatTime(this.inPoint);
+        outLabel.textContent = TrimEditor.formatTime(this.outPoint);
+        lengthLabel.textContent = TrimEditor.formatTime(this.outPoint - this.inPoint);
+    }
+
+    /**
+     * Move playhead marker to the current playback position
+     */
+    updatePlayhead() {
+        const duration = this.duration || 1;
+        const ratio = Math.min(1, this.elements.player.currentTime / duration);
+        this.elements.playhead.style.left = `${ratio * 100}%`;
+    }
+
+    /**
+     * Seek the review player
+     */
+    seek(time) {
+        this.elements.player.currentTime = time;
+        this.updatePlayhead();
+    }
+
+    /**
+     * Play only the selected range
+     */
+    playRange() {
+        const { player } = this.elements;
+
+        this.clearRangeStop();
+        player.currentTime = this.inPoint;
+
+        this.rangeStopHandler = () => {
+            if (player.currentTime >= this.outPoint) {
+                player.pause();
+                this.clearRangeStop();
+            }
+        };
+        player.addEventListener('timeupdate', this.rangeStopHandler);
+        player.play().catch(error => console.warn('Playback failed:', error));
+    }
+
+    /**
+     * Remove the range playback listener
+     */
+    clearRangeStop() {
+        if (this.rangeStopHandler) {
+            this.elements.player.removeEventListener('timeupdate', this.rangeStopHandler);
+            this.rangeStopHandler = null;
+        }
+    }
+
+    /**
+     * Export the trimmed range
+     */
+    async exportTrim() {
+        if (this.isExporting || !this.videoURL) return;
+
+        this.setExporting(true);
+        this.elements.player.pause();
+
+        try {
+            const source = await fetch(this.videoURL).then(response => response.blob());
+            const blob = await trimVideo(source, this.inPoint, this.outPoint, (progress) => {
+                this.elements.exportBtn.textContent = `Exporting ${Math.round(progress * 100)}%`;
+            });
+
+            if (this.onExport) {
+                await this.onExport(blob, {
+                    duration: (this.outPoint - this.inPoint) * 1000,
+                    inPoint: this.inPoint,
+                    outPoint: this.outPoint
+                });
+            }
+        } catch (error) {
+            console.error('Trim export failed:', error);
+            alert('Failed to export trimmed video: ' + error.message);
+        } finally {
+            this.setExporting(false);
+        }
+    }
+
+    /**
+     * Hand the trimmed range to the GIF / WebP exporter
+     */
+    async exportClip() {
+        if (!this.videoURL || !this.onExportClip) return;
+
+        const { player } = this.elements;
+        player.pause();
+
+        let blob;
+        try {
+            blob = await fetch(this.videoURL).then(response => response.blob());
+        } catch (error) {
+            console.error('Clip export failed:', error);
+            alert('Failed to export clip: ' + error.message);
+            return;
+        }
+
+        this.onExportClip({
+            blob,
+            startTime: this.inPoint,
+            endTime: this.outPoint,
+            aspectRatio: player.videoWidth / player.videoHeight,
+            trimmed: true
+        });
+    }
+
+    /**
+     * Toggle exporting UI state
+     */
+    setExporting(exporting) {
+        this.isExporting = exporting;
+        this.elements.exportBtn.disabled = exporting;
+        this.elements.exportBtn.textContent = exporting ? 'Exporting...' : 'Export Trim';
+    }
+
+    /**
+     * Stop playback and release the current recording
+     */
+    cleanup() {
+        const { player } = this.elements;
+
+        this.thumbnailToken++;
+        this.clearRangeStop();
+        player.pause();
+        player.removeAttribute('src');
+        player.load();
+
+        if (this.videoURL && this.ownsURL) {
+            URL.revokeObjectURL(this.videoURL);
+        }
+        this.videoURL = null;
+    }
+
+    /**
+     * Format seconds as MM:SS.s
+     */
+    static formatTime(seconds) {
+        const tenths = Math.floor((seconds % 1) * 10);
+        return `${VideoRecorder.formatDuration(seconds * 1000)}.${tenths}`;
+    }
+}
@@ -0,0 +1,114 @@
+// video-trimmer.js - Re-record a Time Range of an Existing Video
+
+import { loadVideo, seekTo } from './video-utils.js';
+import { VideoRecorder } from './recorder.js';
+
+/**
+ * Export the [startTime, endTime] range of a video as a new file
+ * Plays the range in real time through a detached video element and records it again.
+ * @param {Blob} blob - Source video
+ * @param {number} startTime - In point (seconds)
+ * @param {number} endTime - Out point (seconds)
+ * @param {Function} onProgress - Called with progress (0 - 1)
+ * @returns {Promise<Blob>}
+ */
+export async function trimVideo(blob, startTime, endTime, onProgress = null) {
+    if (endTime <= startTime) {
+        throw new Error('Out point must be after in point');
+    }
+
+    const { video, url } = await loadVideo(blob);
+    let audioContext = null;
+
+    try {
+        const captureStream = video.captureStream || video.mozCaptureStream;
+        if (!captureStream) {
+            throw new Error('Trimming is not supported in this browser');
+        }
+
+        // Route audio through WebAudio so it is captured without playing out loud
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContext = new AudioContextClass();
+        const audioDestination = audioContext.createMediaStreamDestination();
+        audioContext.createMediaElementSource(video).connect(audioDestination);
+        video.muted = false;
+
+        await seekTo(video, startTime);
+
+        const videoTracks = captureStream.call(video).getVideoTracks();
+        const audioTracks = audioDestination.stream.getAudioTracks();
+        const stream = new MediaStream([...videoTracks, ...audioTracks]);
+
+        const mimeType = MediaRecorder.isTypeSupported(blob.type)
+            ? blob.type
+            : VideoRecorder.getSupportedMimeType(audioTracks.length > 0);
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+        });
+
+        recorder.start(100);
+        await video.play();
+
+        await waitForTime(video, endTime, (time) => {
+            if (onProgress) {
+                onProgress(Math.min(1, (time - startTime) / (endTime - startTime)));
+            }
+        });
+
+        video.pause();
+        recorder.stop();
+        await stopped;
+
+        stream.getTracks().forEach(track => track.stop());
+
+        const result = new Blob(chunks, { type: mimeType });
+        console.log(`Trimmed ${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
+        return result;
+    } finally {
+        video.pause();
+        URL.revokeObjectURL(url);
+        if (audioContext) {
+            audioContext.close();
+        }
+    }
+}
+
+/**
+ * Resolve once playback reaches the given time (or the video ends)
+ * Uses requestVideoFrameCallback for frame-accurate stops where available.
+ */
+function waitForTime(video, endTime, onTick) {
+    return new Promise((resolve) => {
+        const check = () => {
+            onTick(video.currentTime);
+
+            if (video.currentTime >= endTime || video.ended) {
+                resolve();
+                return;
+            }
+
+            schedule();
+        };
+
+        const schedule = () => {
+            if (video.requestVideoFrameCallback) {
+                video.requestVideoFrameCallback(check);
+            } else {
+                setTimeout(check, 20);
+            }
+        };
+
+        video.addEventListener('ended', () => resolve(), { once: true });
+        schedule();
+    });
+}
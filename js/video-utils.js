@@ -0,0 +1,100 @@
+// video-utils.js - Helpers for Loading and Sampling Recorded Videos
+
+/**
+ * Load a video Blob or URL into a detached video element
+ * MediaRecorder WebM files report an Infinity duration until the end has been seen,
+ * so seek far past the end once to make the browser compute the real duration.
+ * @param {Blob|string} source - Video Blob or object URL
+ * @returns {Promise<{video: HTMLVideoElement, url: string, duration: number}>}
+ */
+export async function loadVideo(source) {
+    const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.src = url;
+
+    await new Promise((resolve, reject) => {
+        video.onloadedmetadata = resolve;
+        video.onerror = () => reject(new Error('Unable to load video'));
+    });
+
+    if (!Number.isFinite(video.duration)) {
+        await seekTo(video, 1e101);
+        await seekTo(video, 0);
+    }
+
+    return { video, url, duration: video.duration };
+}
+
+/**
+ * Seek a video element and wait for the frame to be ready
+ * @param {HTMLVideoElement} video
+ * @param {number} time - Time in seconds
+ */
+export function seekTo(video, time) {
+    return new Promise((resolve) => {
+        video.addEventListener('seeked', () => resolve(), { once: true });
+        video.currentTime = time;
+    });
+}
+
+/**
+ * Draw the current video frame into a new canvas
+ * @param {HTMLVideoElement} video
+ * @param {number} width - Output width (height keeps aspect ratio)
+ * @returns {HTMLCanvasElement}
+ */
+export function captureFrame(video, width = video.videoWidth) {
+    const scale = width / video.videoWidth;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(video.videoHeight * scale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    return canvas;
+}
+
+/**
+ * Encode a canvas as an image Blob
+ */
+export function canvasToBlob(canvas, type = 'image/jpeg', quality = 0.8) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to encode image'));
+            }
+        }, type, quality);
+    });
+}
+
+/**
+ * Create a JPEG thumbnail from a video Blob
+ * @param {Blob} blob - Video Blob
+ * @param {number} width - Thumbnail width
+ * @returns {Promise<Blob|null>} Thumbnail, or null if the video could not be decoded
+ */
+export async function createVideoThumbnail(blob, width = 320) {
+    let loaded = null;
+
+    try {
+        loaded = await loadVideo(blob);
+
+        // Skip the very first frame, which is often black
+        await seekTo(loaded.video, Math.min(0.5, loaded.duration / 2));
+
+        return await canvasToBlob(captureFrame(loaded.video, width));
+    } catch (error) {
+        console.warn('Thumbnail generation failed:', error);
+        return null;
+    } finally {
+        if (loaded) {
+            URL.revokeObjectURL(loaded.url);
+        }
+    }
+}
@@ -1,5 +1,8 @@
 // effect-renderer.js - Canvas Rendering and Effects
 import { ParticleSystem } from './particle-system.js';
+import { OverlayLayer } from './overlay-layer.js';
+
+const SUBJECT_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'bottom-center'];
 
 export class EffectRenderer {
     constructor(canvas, videoElement, segmentationManager) {
@@ -8,13 +11,23 @@ export class EffectRenderer {
         this.videoElement = videoElement;
         this.segmentationManager = segmentationManager;
         this.particleSystem = new ParticleSystem();
+        this.overlayLayer = new OverlayLayer();
         this.frameCount = 0;
         this.lastFrameTime = performance.now();
         this.fps = 60;
+        this.averageFPS = 60; // Smoothed over about a second of frames
+        this.mirrored = false; // Flip the camera horizontally like a mirror
+        this.fitMode = 'cover'; // 'cover', 'contain' or 'letterbox' when canvas and camera aspect differ
+        this.backgroundSource = null; // Captured screen drawn behind the camera layer
+        this.subjectPosition = 'bottom-right'; // Where the camera layer sits over a background
+        this.subjectSize = 0.3; // Camera layer width as a fraction of the canvas width
 
         // Offscreen canvas for mask processing
         this.offscreenCanvas = document.createElement('canvas');
         this.offscreenCtx = this.offscreenCanvas.getContext('2d');
+
+        // Person cut out of the live camera when composited over a background
+        this.subjectCanvas = document.createElement('canvas');
     }
 
     /**
@@ -23,16 +36,100 @@ export class EffectRenderer {
     resize(width, height) {
         this.canvas.width = width;
         this.canvas.height = height;
-        this.offscreenCanvas.width = width;
-        this.offscreenCanvas.height = height;
         console.log(`Canvas resized to ${width}x${height}`);
     }
 
+    /**
+     * Mirror the camera image and clones (selfie view)
+     * Clone positions and overlays are already in canvas space and are not flipped.
+     */
+    setMirrored(enabled) {
+        this.mirrored = enabled;
+    }
+
+    /**
+     * Choose how the camera image fits a canvas of a different aspect ratio
+     * @param {string} mode - 'cover' (fill, crop edges), 'contain' (fit, scene shows around it)
+     *                        or 'letterbox' (fit, black bars over everything)
+     */
+    setFitMode(mode) {
+        this.fitMode = ['cover', 'contain', 'letterbox'].includes(mode) ? mode : 'cover';
+    }
+
+    /**
+     * Draw a screen capture behind the camera, which becomes a picture-in-picture subject layer
+     * @param {HTMLVideoElement|null} source - Captured screen, or null for the camera alone
+     */
+    setBackground(source) {
+        this.backgroundSource = source;
+    }
+
+    /**
+     * Place the camera layer over the background
+     * @param {string} position - 'top-left', 'top-right', 'bottom-left', 'bottom-right' or 'bottom-center'
+     * @param {number} size - Layer width as a fraction of the canvas width
+     */
+    setSubjectLayout(position, size) {
+        this.subjectPosition = SUBJECT_POSITIONS.includes(position) ? position : 'bottom-right';
+        this.subjectSize = Math.max(0.1, Math.min(1, size));
+    }
+
+    /**
+     * Area of the canvas the camera layer (live image and clones) occupies
+     * The whole canvas, or the picture-in-picture box over a screen capture.
+     */
+    getCameraBox() {
+        if (!this.backgroundSource) {
+            return { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+        }
+
+        const aspect = (this.videoElement.videoWidth || 16) / (this.videoElement.videoHeight || 9);
+        const width = this.canvas.width * this.subjectSize;
+        const height = Math.min(width / aspect, this.canvas.height);
+        const margin = Math.min(this.canvas.width, this.canvas.height) * 0.03;
+        const [vertical, horizontal] = this.subjectPosition.split('-');
+
+        const x = horizontal === 'left' ? margin
+            : horizontal === 'right' ? this.canvas.width - width - margin
+                : (this.canvas.width - width) / 2;
+        const y = vertical === 'top' ? margin : this.canvas.height - height - margin;
+
+        return { x, y, width, height };
+    }
+
+    /**
+     * Where the camera image sits on the canvas for the current fit mode
+     * Always horizontally centered in the camera box, so mirroring leaves it in place.
+     * @returns {{x: number, y: number, width: number, height: number}} May extend past the box in cover mode
+     */
+    getVideoRect() {
+        const box = this.getCameraBox();
+        const videoWidth = this.videoElement.videoWidth || box.width;
+        const videoHeight = this.videoElement.videoHeight || box.height;
+        const fit = this.fitMode === 'cover' ? Math.max : Math.min;
+        const scale = fit(box.width / videoWidth, box.height / videoHeight);
+
+        const width = videoWidth * scale;
+        const height = videoHeight * scale;
+        return { x: box.x + (box.width - width) / 2, y: box.y + (box.height - height) / 2, width, height };
+    }
+
+    /**
+     * Map a normalized camera point (landmark, person centroid) to canvas pixels
+     * @param {{x: number, y: number}} point - 0 - 1 in preview orientation
+     */
+    videoToCanvas(point) {
+        const rect = this.getVideoRect();
+        return { x: rect.x + point.x * rect.width, y: rect.y + point.y * rect.height };
+    }
+
     /**
      * Main render loop
      * @param {CloneManager} cloneManager
+     * @param {Object|null} outputFrame - Recorded area of the canvas (for overlay placement)
+     * @param {boolean} drawOverlay - False when the overlay is drawn separately (see renderOverlay)
      */
-    render(cloneManager) {
+    render(cloneManager, outputFrame = null, drawOverlay = true) {
         const now = performance.now();
         const deltaTime = now - this.lastFrameTime;
         this.lastFrameTime = now;
@@ -49,6 +146,7 @@ export class EffectRenderer {
         // Update FPS counter
         if (deltaTime > 0) {
             this.fps = 1000 / deltaTime;
+            this.averageFPS += (this.fps - this.averageFPS) * Math.min(1, deltaTime / 1000);
         }
 
         // Update clone animations
@@ -58,6 +156,10 @@ export class EffectRenderer {
         this.ctx.fillStyle = '#0f0f1e';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
+        if (this.backgroundSource) {
+            this.drawBackground();
+        }
+
         // Update and render particles
         this.particleSystem.update(deltaTime);
         const pendingParticles = cloneManager.getParticlePositions();
@@ -76,28 +178,114 @@ export class EffectRenderer {
             this.drawClones(cloneManager);
         }
 
-        // Draw main video feed LAST (on top, in front)
-        this.drawVideoFullScreen();
+        // Draw main video feed (on top, in front) - just the person when composited over a screen
+        this.drawVideoFullScreen(!!this.backgroundSource && cloneManager.useSegmentation);
+
+        if (this.fitMode === 'letterbox') {
+            this.drawLetterbox();
+        }
+
+        // Branding overlay goes over everything, anchored to the recorded frame
+        if (drawOverlay) {
+            this.renderOverlay(outputFrame);
+        }
 
         this.frameCount++;
     }
 
     /**
-     * Draw video filling entire canvas
+     * Draw the branding overlay onto the preview
+     * @param {Object|null} outputFrame - Recorded area of the canvas, or null for the whole canvas
      */
-    drawVideoFullScreen() {
+    renderOverlay(outputFrame = null) {
+        this.overlayLayer.render(this.ctx, outputFrame || {
+            x: 0, y: 0, width: this.canvas.width, height: this.canvas.height
+        });
+    }
+
+    /**
+     * Draw the screen capture across the canvas (never mirrored, so text stays readable)
+     */
+    drawBackground() {
+        const source = this.backgroundSource;
+        if (!source.videoWidth) return;
+
+        const scale = Math.min(this.canvas.width / source.videoWidth, this.canvas.height / source.videoHeight);
+        const width = source.videoWidth * scale;
+        const height = source.videoHeight * scale;
+
+        this.ctx.drawImage(source, (this.canvas.width - width) / 2, (this.canvas.height - height) / 2, width, height);
+    }
+
+    /**
+     * Draw video into the camera box, keeping its aspect ratio
+     * @param {boolean} cutout - Draw only the segmented person (over a background)
+     */
+    drawVideoFullScreen(cutout = false) {
         if (!this.videoElement.videoWidth) return;
 
-        // Draw video to fill entire canvas
+        const rect = this.getVideoRect();
+        const box = this.getCameraBox();
+        let source = this.videoElement;
+
+        if (cutout && this.segmentationManager) {
+            if (this.subjectCanvas.width !== this.videoElement.videoWidth || this.subjectCanvas.height !== this.videoElement.videoHeight) {
+                this.subjectCanvas.width = this.videoElement.videoWidth;
+                this.subjectCanvas.height = this.videoElement.videoHeight;
+            }
+            this.segmentationManager.applyMask(this.videoElement, this.subjectCanvas);
+            source = this.subjectCanvas;
+        }
+
+        this.ctx.save();
+
+        // Keep the picture-in-picture inside its box
+        if (this.backgroundSource) {
+            this.ctx.beginPath();
+            this.ctx.rect(box.x, box.y, box.width, box.height);
+            this.ctx.clip();
+        }
+
+        if (this.mirrored) {
+            const centerX = box.x + box.width / 2;
+            this.ctx.translate(centerX * 2, 0);
+            this.ctx.scale(-1, 1);
+        }
+
         this.ctx.drawImage(
-            this.videoElement,
+            source,
             0, 0,
             this.videoElement.videoWidth,
             this.videoElement.videoHeight,
-            0, 0,
-            this.canvas.width,
-            this.canvas.height
+            rect.x, rect.y,
+            rect.width,
+            rect.height
         );
+
+        this.ctx.restore();
+
+        // Framed picture-in-picture when the person can't be cut out
+        if (this.backgroundSource && source === this.videoElement) {
+            this.ctx.save();
+            this.ctx.lineWidth = Math.max(2, Math.round(this.canvas.width / 400));
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.strokeRect(box.x, box.y, box.width, box.height);
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Black bars around the camera image inside its box (covers clones and particles too)
+     */
+    drawLetterbox() {
+        const box = this.getCameraBox();
+        const { x, y, width, height } = this.getVideoRect();
+
+        this.ctx.fillStyle = '#000000';
+        this.ctx.beginPath();
+        this.ctx.rect(box.x, box.y, box.width, box.height);
+        this.ctx.rect(x, y, width, height);
+        this.ctx.fill('evenodd');
     }
 
     /**
@@ -109,12 +297,12 @@ export class EffectRenderer {
         this.ctx.save();
         this.ctx.globalAlpha = opacity;
         this.ctx.translate(x, y);
-        this.ctx.scale(scale, scale);
+        this.ctx.scale(this.mirrored ? -scale : scale, scale);
 
-        // Draw centered
-        const w = this.canvas.width;
-        const h = this.canvas.height;
-        this.ctx.drawImage(this.videoElement, -w / 2, -h / 2, w, h);
+        // Draw centered, at the same fit as the live layer
+        const rect = this.getVideoRect();
+        const box = this.getCameraBox();
+        this.ctx.drawImage(this.videoElement, rect.x - box.x - box.width / 2, rect.y - box.y - box.height / 2, rect.width, rect.height);
 
         this.ctx.restore();
     }
@@ -141,6 +329,11 @@ export class EffectRenderer {
         // Apply segmentation mask if enabled
         let drawSource = delayedFrame;
         if (cloneManager.useSegmentation && this.segmentationManager) {
+            // Mask at the frame's own size so the aspect ratio survives
+            if (this.offscreenCanvas.width !== delayedFrame.width || this.offscreenCanvas.height !== delayedFrame.height) {
+                this.offscreenCanvas.width = delayedFrame.width;
+                this.offscreenCanvas.height = delayedFrame.height;
+            }
             this.segmentationManager.applyMask(delayedFrame, this.offscreenCanvas);
             drawSource = this.offscreenCanvas;
         }
@@ -185,9 +378,15 @@ export class EffectRenderer {
         this.ctx.globalAlpha = opacity;
         this.ctx.translate(clone.x, clone.y);
         this.ctx.scale(scale * 0.6, scale * 0.6); // Clones slightly smaller
+        if (this.mirrored) {
+            this.ctx.scale(-1, 1); // Buffered frames are raw camera frames; the reveal clip is symmetric
+        }
 
-        const cloneWidth = this.canvas.width;
-        const cloneHeight = this.canvas.height;
+        // A clone shows exactly what the live layer shows: the image at the same fit, cut to the visible part
+        const rect = this.getVideoRect();
+        const box = this.getCameraBox();
+        const cloneWidth = Math.min(rect.width, box.width);
+        const cloneHeight = Math.min(rect.height, box.height);
 
         // Use offscreen canvas to apply reveal mask with feathering if possible
         // For now, stick to clipping for performance, but ensure it matches PRD direction
@@ -203,10 +402,10 @@ export class EffectRenderer {
         // Draw delayed frame using drawImage (works with transformations)
         this.ctx.drawImage(
             drawSource,
-            -cloneWidth / 2,
-            -cloneHeight / 2,
-            cloneWidth,
-            cloneHeight
+            rect.x - box.x - box.width / 2,
+            rect.y - box.y - box.height / 2,
+            rect.width,
+            rect.height
         );
 
         this.ctx.restore();
@@ -234,6 +433,13 @@ export class EffectRenderer {
         return this.fps;
     }
 
+    /**
+     * Get the frame rate averaged over the last second or so
+     */
+    getAverageFPS() {
+        return this.averageFPS;
+    }
+
     /**
      * Get canvas stream for recording
      */
@@ -0,0 +1,243 @@
+// output-compositor.js - Output Framing Profiles (9:16, 1:1, 16:9) Cropped from the Preview Canvas
+
+const OUTPUT_ASPECTS = {
+    '9:16': 9 / 16,
+    '1:1': 1,
+    '16:9': 16 / 9
+};
+
+// Regions covered by social app UI (captions, buttons), as fractions of the output frame
+const SAFE_AREA_MARGINS = {
+    '9:16': { top: 0.14, bottom: 0.22, side: 0.06 },
+    '1:1': { top: 0.05, bottom: 0.05, side: 0.05 },
+    '16:9': { top: 0.05, bottom: 0.1, side: 0.05 }
+};
+
+export class OutputCompositor {
+    constructor(sourceCanvas, segmentationManager = null) {
+        this.sourceCanvas = sourceCanvas;
+        this.segmentationManager = segmentationManager;
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { alpha: false });
+        this.aspect = 'native';
+        this.resolution = 1080;
+        this.framing = 'center'; // center, pan, auto
+        this.pan = 0; // -1 (left / top) to 1 (right / bottom)
+        this.center = { x: 0.5, y: 0.5 }; // Smoothed crop center (normalized)
+        this.smoothing = 0.08; // Auto-center follow speed per frame
+        this.flip = false; // Mirror the output relative to the preview
+        this.videoToCanvas = null; // Maps normalized camera points to source canvas pixels (fit mode)
+        this.cropRect = null;
+    }
+
+    /**
+     * Check if an aspect ratio is supported
+     */
+    static isValidAspect(aspect) {
+        return aspect === 'native' || aspect in OUTPUT_ASPECTS;
+    }
+
+    /**
+     * Select the output profile
+     * @param {string} aspect - 'native', '9:16', '1:1' or '16:9'
+     * @param {number} resolution - Short side in pixels (e.g. 1080 or 720)
+     */
+    setProfile(aspect, resolution = 1080) {
+        this.aspect = OutputCompositor.isValidAspect(aspect) ? aspect : 'native';
+        this.resolution = resolution;
+        this.cropRect = null;
+
+        if (!this.isCropped()) {
+            this.canvas.width = this.sourceCanvas.width;
+            this.canvas.height = this.sourceCanvas.height;
+            console.log(this.flip ? 'Output profile: native, flipped from the preview' : 'Output profile: native (preview canvas)');
+            return;
+        }
+
+        // Never scale the crop up - a 405x720 crop stretched to 1080x1920 adds size, not detail
+        const ratio = OUTPUT_ASPECTS[this.aspect];
+        const crop = this.getCropRect();
+        const short = Math.min(resolution, Math.floor(Math.min(crop.width, crop.height))) & ~1;
+        const long = Math.round(short * Math.max(ratio, 1 / ratio)) & ~1;
+
+        this.canvas.width = ratio < 1 ? short : long;
+        this.canvas.height = ratio < 1 ? long : short;
+
+        console.log(`Output profile: ${this.aspect} at ${this.canvas.width}x${this.canvas.height}${short < resolution ? ` (limited by the ${this.sourceCanvas.width}x${this.sourceCanvas.height} preview)` : ''}`);
+    }
+
+    /**
+     * Short side of the output actually recorded, which can be below the requested resolution
+     */
+    getEffectiveResolution() {
+        return Math.min(this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Check if output differs from the preview canvas
+     */
+    isActive() {
+        return this.isCropped() || this.flip;
+    }
+
+    /**
+     * Check if an output aspect crops the preview
+     */
+    isCropped() {
+        return this.aspect !== 'native';
+    }
+
+    /**
+     * Flip the output horizontally relative to the preview
+     * (e.g. mirrored selfie preview, unmirrored recording)
+     */
+    setFlip(enabled) {
+        this.flip = enabled;
+    }
+
+    /**
+     * Set how the crop is positioned inside the preview
+     * @param {string} mode - 'center', 'pan' or 'auto' (follow the person)
+     * @param {number} pan - Manual offset for 'pan' mode (-1 to 1)
+     */
+    setFraming(mode, pan = 0) {
+        this.framing = mode;
+        this.pan = Math.max(-1, Math.min(1, pan));
+    }
+
+    /**
+     * Compute the source rectangle for the current profile and framing
+     */
+    getCropRect() {
+        const sourceWidth = this.sourceCanvas.width;
+        const sourceHeight = this.sourceCanvas.height;
+
+        if (!this.isCropped()) {
+            return { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+        }
+        const ratio = OUTPUT_ASPECTS[this.aspect];
+
+        let width = sourceWidth;
+        let height = sourceHeight;
+        if (sourceWidth / sourceHeight > ratio) {
+            width = sourceHeight * ratio;
+        } else {
+            height = sourceWidth / ratio;
+        }
+
+        const x = Math.max(0, Math.min(sourceWidth - width, this.center.x * sourceWidth - width / 2));
+        const y = Math.max(0, Math.min(sourceHeight - height, this.center.y * sourceHeight - height / 2));
+
+        return { x, y, width, height };
+    }
+
+    /**
+     * Move the crop center toward its target
+     */
+    updateCenter() {
+        let target = { x: 0.5, y: 0.5 };
+
+        if (this.framing === 'pan') {
+            target = { x: 0.5 + this.pan * 0.5, y: 0.5 + this.pan * 0.5 };
+        } else if (this.framing === 'auto' && this.segmentationManager) {
+            const centroid = this.segmentationManager.getPersonCentroid();
+            target = centroid ? this.toSourcePoint(centroid) : this.center;
+        }
+
+        // Manual and fixed framing snap; auto-center eases to avoid jitter
+        const factor = this.framing === 'auto' ? this.smoothing : 1;
+        this.center.x += (target.x - this.center.x) * factor;
+        this.center.y += (target.y - this.center.y) * factor;
+    }
+
+    /**
+     * Convert a normalized camera point into normalized source canvas coordinates
+     */
+    toSourcePoint(point) {
+        if (!this.videoToCanvas) return point;
+
+        const { x, y } = this.videoToCanvas(point);
+        return { x: x / this.sourceCanvas.width, y: y / this.sourceCanvas.height };
+    }
+
+    /**
+     * Advance framing and compute this frame's crop (call before the preview renders)
+     * @returns {Object|null} Crop rectangle in preview pixels, or null when inactive
+     */
+    updateCrop() {
+        if (!this.isActive()) return null;
+
+        this.updateCenter();
+        this.cropRect = this.getCropRect();
+        return this.cropRect;
+    }
+
+    /**
+     * Draw the framed output for this frame
+     * @param {OverlayLayer|null} overlayLayer - Drawn after the flip so text still reads correctly
+     */
+    render(overlayLayer = null) {
+        if (!this.isActive()) return;
+
+        const crop = this.cropRect || this.updateCrop();
+
+        this.ctx.save();
+        if (this.flip) {
+            this.ctx.translate(this.canvas.width, 0);
+            this.ctx.scale(-1, 1);
+        }
+
+        this.ctx.drawImage(
+            this.sourceCanvas,
+            crop.x, crop.y, crop.width, crop.height,
+            0, 0, this.canvas.width, this.canvas.height
+        );
+        this.ctx.restore();
+
+        if (overlayLayer) {
+            overlayLayer.render(this.ctx, { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height });
+        }
+    }
+
+    /**
+     * Draw the output frame and safe area onto a preview overlay canvas
+     * @param {HTMLCanvasElement} overlay - Same size and placement as the preview canvas
+     */
+    drawGuides(overlay) {
+        if (overlay.width !== this.sourceCanvas.width || overlay.height !== this.sourceCanvas.height) {
+            overlay.width = this.sourceCanvas.width;
+            overlay.height = this.sourceCanvas.height;
+        }
+
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+        if (!this.isCropped() || !this.cropRect) return;
+
+        const { x, y, width, height } = this.cropRect;
+        const lineWidth = Math.max(2, Math.round(overlay.width / 400));
+
+        // Dim everything outside the recorded frame
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.rect(0, 0, overlay.width, overlay.height);
+        ctx.rect(x, y, width, height);
+        ctx.fill('evenodd');
+
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.strokeRect(x, y, width, height);
+
+        // Safe area: keep faces and text inside the dashed box
+        const margins = SAFE_AREA_MARGINS[this.aspect];
+        ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+        ctx.strokeStyle = 'rgba(245, 158, 11, 0.9)';
+        ctx.strokeRect(
+            x + width * margins.side,
+            y + height * margins.top,
+            width * (1 - margins.side * 2),
+            height * (1 - margins.top - margins.bottom)
+        );
+        ctx.setLineDash([]);
+    }
+}
@@ -0,0 +1,127 @@
+// overlay-layer.js - Watermark / Branding Overlay (Logo Image or Text)
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// Uploaded logos are kept as data URLs in localStorage
+export const MAX_LOGO_BYTES = 1024 * 1024;
+
+export class OverlayLayer {
+    constructor() {
+        this.type = 'none'; // none, image, text
+        this.image = null;
+        this.text = '';
+        this.position = 'bottom-right';
+        this.size = 0.15; // Width as a fraction of the frame width (image) or text height fraction
+        this.opacity = 0.8;
+        this.margin = 0.03; // Fraction of the frame's short side
+    }
+
+    /**
+     * Apply overlay options
+     * @param {Object} options - { type, text, position, size (%), opacity (0-1), margin (%) }
+     */
+    setOptions(options) {
+        this.type = options.type || 'none';
+        this.text = options.text || '';
+        this.position = POSITIONS.includes(options.position) ? options.position : 'bottom-right';
+        this.size = Math.max(0.01, options.size / 100);
+        this.opacity = Math.max(0, Math.min(1, options.opacity));
+        this.margin = Math.max(0, options.margin / 100);
+    }
+
+    /**
+     * Decode a logo (PNG or SVG data URL)
+     * @param {string|null} dataUrl
+     */
+    async setImage(dataUrl) {
+        if (!dataUrl) {
+            this.image = null;
+            return;
+        }
+
+        const image = new Image();
+        image.src = dataUrl;
+        await image.decode();
+        this.image = image;
+    }
+
+    /**
+     * Check if anything will be drawn
+     */
+    isVisible() {
+        if (this.opacity <= 0) return false;
+        if (this.type === 'image') return !!this.image;
+        if (this.type === 'text') return this.text.trim().length > 0;
+        return false;
+    }
+
+    /**
+     * Draw the overlay inside a frame rectangle
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} frame - { x, y, width, height } area the overlay is anchored to
+     */
+    render(ctx, frame) {
+        if (!this.isVisible()) return;
+
+        ctx.save();
+        ctx.globalAlpha = this.opacity;
+
+        if (this.type === 'image') {
+            this.drawImage(ctx, frame);
+        } else {
+            this.drawText(ctx, frame);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the logo scaled to the configured width
+     */
+    drawImage(ctx, frame) {
+        // SVGs without explicit dimensions report 0x0; treat them as square
+        const naturalWidth = this.image.naturalWidth || 1;
+        const naturalHeight = this.image.naturalHeight || naturalWidth;
+
+        const width = frame.width * this.size;
+        const height = width * naturalHeight / naturalWidth;
+        const { x, y } = this.getAnchor(frame, width, height);
+
+        ctx.drawImage(this.image, x, y, width, height);
+    }
+
+    /**
+     * Draw the text with a soft shadow for legibility on any background
+     */
+    drawText(ctx, frame) {
+        // Size maps to text height so 15% reads as a comfortable caption size
+        const fontSize = Math.max(10, Math.round(Math.min(frame.width, frame.height) * this.size * 0.4));
+        ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+        ctx.textBaseline = 'top';
+
+        const width = ctx.measureText(this.text).width;
+        const { x, y } = this.getAnchor(frame, width, fontSize);
+
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = fontSize * 0.2;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(this.text, x, y);
+    }
+
+    /**
+     * Top-left corner for an item of the given size at the configured position
+     */
+    getAnchor(frame, width, height) {
+        const margin = Math.min(frame.width, frame.height) * this.margin;
+        const [vertical, horizontal] = this.position === 'center' ? ['center', 'center'] : this.position.split('-');
+
+        const x = horizontal === 'left' ? frame.x + margin
+            : horizontal === 'right' ? frame.x + frame.width - width - margin
+                : frame.x + (frame.width - width) / 2;
+        const y = vertical === 'top' ? frame.y + margin
+            : vertical === 'bottom' ? frame.y + frame.height - height - margin
+                : frame.y + (frame.height - height) / 2;
+
+        return { x, y };
+    }
+}
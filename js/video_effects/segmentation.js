@@ -11,6 +11,9 @@ export class SegmentationManager {
         this.frameCount = 0;
         this.isProcessing = false;
         this.isInitialized = false;
+        this.centroid = null;
+        this.centroidMask = null; // Mask the cached centroid belongs to
+        this.mirrored = false; // Report positions as seen in a mirrored preview
     }
 
     /**
@@ -66,7 +69,7 @@ export class SegmentationManager {
         this.isProcessing = true;
 
         try {
-            // Segment person from background
+            // The mask stays unflipped: it is applied to raw camera frames (see setMirrored)
             const segmentation = await this.bodyPixModel.segmentPerson(videoElement, {
                 flipHorizontal: false,
                 internalResolution: 'medium',
@@ -88,6 +91,58 @@ export class SegmentationManager {
         return this.segmentationMask;
     }
 
+    /**
+     * Get the center of the detected person (normalized 0 - 1, in preview orientation)
+     * Cached per mask since segmentation runs less often than rendering.
+     * @returns {{x: number, y: number}|null}
+     */
+    getPersonCentroid() {
+        const mask = this.segmentationMask;
+        if (!mask || !mask.data) return null;
+
+        if (this.centroidMask !== mask) {
+            this.centroid = this.computeCentroid(mask);
+            this.centroidMask = mask;
+        }
+
+        if (this.centroid && this.mirrored) {
+            return { x: 1 - this.centroid.x, y: this.centroid.y };
+        }
+        return this.centroid;
+    }
+
+    /**
+     * Average position of person pixels in camera orientation
+     */
+    computeCentroid(mask) {
+        const step = 4; // Sample every 4th pixel in each direction
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+
+        for (let y = 0; y < mask.height; y += step) {
+            for (let x = 0; x < mask.width; x += step) {
+                if (mask.data[y * mask.width + x] === 1) {
+                    sumX += x;
+                    sumY += y;
+                    count++;
+                }
+            }
+        }
+
+        return count > 0
+            ? { x: sumX / count / mask.width, y: sumY / count / mask.height }
+            : null;
+    }
+
+    /**
+     * Set whether the preview is mirrored
+     * Only reported positions flip - masks keep matching the raw frames the renderer mirrors itself.
+     */
+    setMirrored(enabled) {
+        this.mirrored = enabled;
+    }
+
     /**
      * Apply person mask to a canvas using globalCompositeOperation (optimized)
      */
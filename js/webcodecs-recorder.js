@@ -0,0 +1,559 @@
+// webcodecs-recorder.js - WebCodecs H.264 Recording with Fragmented MP4 Output
+
+import { VideoRecorder } from './recorder.js';
+import {
+    isWebCodecsSupported,
+    getVideoEncoderConfig,
+    getAudioEncoderConfig,
+    readAudioTrack,
+    retimeAudioData
+} from './webcodecs-utils.js';
+
+export class WebCodecsRecorder extends VideoRecorder {
+    constructor(canvas, audioInput = null) {
+        super(canvas, audioInput);
+        this.videoEncoder = null;
+        this.audioEncoder = null;
+        this.audioReader = null;
+        this.audioSetup = null;
+        this.frameTimer = null;
+        this.frameCanvas = document.createElement('canvas');
+        this.frameSize = { width: 0, height: 0 };
+        this.fps = 30;
+        this.frameCount = 0;
+        this.droppedFrames = 0;
+        this.captureStart = 0;
+        this.capturePauseStart = 0;
+        this.pausedMicros = 0; // Shifted out of encoder timestamps so pauses leave no gap
+        this.forceKeyFrame = false;
+        this.keyFrameInterval = 2; // seconds
+        this.videoConfig = null;
+
+        // Slow motion captures faster than it plays; timelapse keeps every Nth frame
+        this.speedMode = 'normal';
+        this.slowmoCaptureFps = 60;
+        this.timelapseInterval = 10;
+        this.speedRatio = 1;
+        this.outputFps = 30;
+        this.captureCount = 0;
+
+        // Segment split state: encoder output is routed by timestamp around the cut
+        this.nextSegment = null;
+        this.splitPending = false;
+        this.videoSplitTimestamp = null;
+        this.audioSplitTimestamp = null;
+        this.videoDecoderMeta = null;
+        this.audioDecoderMeta = null;
+    }
+
+    /**
+     * Check WebCodecs + MP4 muxer support
+     */
+    static isSupported() {
+        return isWebCodecsSupported();
+    }
+
+    /**
+     * Start recording
+     * @param {number} fps - Frame rate
+     */
+    async start(fps = 30, performanceTier = 'high') {
+        if (this.isRecording) {
+            console.warn('Already recording');
+            return;
+        }
+
+        try {
+            // H.264 requires even dimensions
+            const width = this.canvas.width & ~1;
+            const height = this.canvas.height & ~1;
+            const bitrate = this.getAdaptiveBitrate(performanceTier, fps);
+            const captureFps = this.getCaptureFps(fps);
+
+            const videoConfig = await getVideoEncoderConfig(width, height, bitrate, fps);
+            if (!videoConfig) {
+                throw new Error('H.264 encoding is not supported on this device');
+            }
+
+            // Microphone reader is started first so its real sample rate is known
+            // Retimed video can't carry in-sync audio, so speed modes record silently
+            const realTime = this.speedMode === 'normal';
+            const audioTrack = this.enableAudio && this.audioInput && realTime ? this.audioInput.getTracks()[0] : null;
+            let audioSetup = null;
+
+            if (audioTrack) {
+                this.audioReader = readAudioTrack(audioTrack, (audioData) => this.encodeAudio(audioData));
+                audioSetup = await getAudioEncoderConfig(this.audioReader.sampleRate, this.audioReader.numberOfChannels);
+
+                if (!audioSetup) {
+                    console.warn('No supported audio encoder - recording without audio');
+                    this.audioReader.stop();
+                    this.audioReader = null;
+                }
+            } else if (this.enableAudio && !realTime) {
+                console.log(`Audio is not recorded in ${this.speedMode} mode`);
+            } else if (this.enableAudio) {
+                console.warn('Audio enabled but no microphone track available - recording without audio');
+            }
+
+            this.mimeType = 'video/mp4';
+            this.audioSetup = audioSetup;
+            this.videoConfig = videoConfig;
+            this.encoding = { fps, bitrate };
+            this.fps = captureFps;
+            this.outputFps = fps;
+            this.speedRatio = this.speedMode === 'slowmo' ? captureFps / fps
+                : this.speedMode === 'timelapse' ? 1 / this.timelapseInterval : 1;
+            this.captureCount = 0;
+            this.frameCount = 0;
+            this.droppedFrames = 0;
+            this.frameSize = { width, height };
+            this.frameCanvas.width = width;
+            this.frameCanvas.height = height;
+            this.resetSplitState();
+
+            this.videoEncoder = new VideoEncoder({
+                output: (chunk, meta) => this.addVideoChunk(chunk, meta),
+                error: (error) => this.handleEncoderError('VideoEncoder', error)
+            });
+            this.videoEncoder.configure(videoConfig);
+
+            if (audioSetup) {
+                this.audioEncoder = new AudioEncoder({
+                    output: (chunk, meta) => this.addAudioChunk(chunk, meta),
+                    error: (error) => this.handleEncoderError('AudioEncoder', error)
+                });
+                this.audioEncoder.configure(audioSetup.config);
+            }
+
+            console.log(`Recording (WebCodecs): ${width}x${height} ${videoConfig.codec} ${fps} FPS @ ${(bitrate / 1000000).toFixed(1)} Mbps (${performanceTier} tier)${audioSetup ? ` + ${audioSetup.config.codec}` : ''}`);
+            if (this.speedRatio !== 1) {
+                console.log(`Speed mode: ${this.speedMode}, capturing ${captureFps} FPS${this.speedMode === 'timelapse' ? `, keeping every ${this.timelapseInterval}th frame` : ''} (${this.speedRatio.toFixed(2)}x output time)`);
+            }
+
+            this.resetPauseState();
+            this.startTime = Date.now();
+            this.segmentIndex = 0;
+            this.segment = this.createSegment();
+            this.recordedChunks = this.segment.chunks;
+
+            // Start frame capture
+            this.isRecording = true;
+            this.isStopping = false;
+            this.captureStart = performance.now();
+            this.pausedMicros = 0;
+            this.frameTimer = setInterval(() => this.captureFrame(), 1000 / captureFps);
+
+            // Start duration timer
+            this.startDurationTimer();
+
+            console.log('Recording started');
+
+            if (this.onRecordingStart) {
+                this.onRecordingStart();
+            }
+
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            this.releaseEncoders();
+            throw error;
+        }
+    }
+
+    /**
+     * Stop the take when an encoder fails - a closed encoder would silently drop every later frame
+     * What was muxed before the failure is kept.
+     */
+    async handleEncoderError(kind, error) {
+        console.error(`${kind} error:`, error);
+        if (!this.isRecording || this.isStopping) return;
+
+        await this.stop();
+
+        if (this.onRecordingError) {
+            this.onRecordingError(error);
+        }
+    }
+
+    /**
+     * Create a segment with its own MP4 muxer
+     */
+    createSegment() {
+        const segment = super.createSegment();
+        const { width, height } = this.frameSize;
+        const audioSetup = this.audioSetup;
+
+        segment.hasVideo = false;
+        segment.hasAudio = false;
+        segment.muxer = new Mp4Muxer.Muxer({
+            target: new Mp4Muxer.StreamTarget({
+                onData: (data, position) => this.onMuxerData(segment, data, position)
+            }),
+            video: { codec: 'avc', width, height, frameRate: this.outputFps },
+            audio: audioSetup ? {
+                codec: audioSetup.muxerCodec,
+                sampleRate: audioSetup.config.sampleRate,
+                numberOfChannels: audioSetup.config.numberOfChannels
+            } : undefined,
+            fastStart: 'fragmented',
+            firstTimestampBehavior: 'offset'
+        });
+
+        return segment;
+    }
+
+    /**
+     * Encode the current canvas frame
+     */
+    captureFrame() {
+        if (!this.isRecording || this.isPaused || this.isStopping || this.videoEncoder.state !== 'configured') return;
+
+        // Timelapse: skip all but every Nth composited frame
+        if (this.speedMode === 'timelapse' && this.captureCount++ % this.timelapseInterval !== 0) return;
+
+        // Drop frames rather than queueing when the encoder falls behind
+        if (this.videoEncoder.encodeQueueSize > 2) {
+            this.droppedFrames++;
+            return;
+        }
+
+        // Scaling real time stretches (slow motion) or compresses (timelapse) playback
+        const timestamp = Math.round(((performance.now() - this.captureStart) * 1000 - this.pausedMicros) * this.speedRatio);
+        const frame = new VideoFrame(this.getFrameSource(), { timestamp });
+        let keyFrame = this.forceKeyFrame || this.frameCount % Math.round(this.outputFps * this.keyFrameInterval) === 0;
+        this.forceKeyFrame = false;
+
+        // A pending split cuts on this frame, which must be a keyframe
+        if (this.splitPending) {
+            this.splitPending = false;
+            this.videoSplitTimestamp = timestamp;
+            keyFrame = true;
+        }
+
+        this.videoEncoder.encode(frame, { keyFrame });
+        frame.close();
+        this.frameCount++;
+    }
+
+    /**
+     * Get a frame source matching the configured encoder size
+     * The canvas can be resized mid-recording (quality change), so copy into a fixed-size canvas when needed.
+     */
+    getFrameSource() {
+        const { width, height } = this.frameSize;
+
+        if (this.canvas.width === width && this.canvas.height === height) {
+            return this.canvas;
+        }
+
+        const ctx = this.frameCanvas.getContext('2d');
+        ctx.drawImage(this.canvas, 0, 0, width, height);
+        return this.frameCanvas;
+    }
+
+    /**
+     * Encode microphone samples
+     */
+    encodeAudio(audioData) {
+        if (this.isRecording && !this.isPaused && !this.isStopping && this.audioEncoder && this.audioEncoder.state === 'configured') {
+            const timestamp = audioData.timestamp - this.pausedMicros;
+
+            // First samples after the video cut start the next segment's audio
+            if (this.videoSplitTimestamp !== null && this.audioSplitTimestamp === null) {
+                this.audioSplitTimestamp = timestamp;
+            }
+
+            if (this.pausedMicros > 0) {
+                const shifted = retimeAudioData(audioData, timestamp);
+                this.audioEncoder.encode(shifted);
+                shifted.close();
+            } else {
+                this.audioEncoder.encode(audioData);
+            }
+        }
+        audioData.close();
+    }
+
+    /**
+     * Route an encoded video chunk to the segment it belongs to
+     */
+    addVideoChunk(chunk, meta) {
+        if (meta && meta.decoderConfig) {
+            this.videoDecoderMeta = meta;
+        }
+
+        const afterCut = this.videoSplitTimestamp !== null && chunk.timestamp >= this.videoSplitTimestamp;
+        const segment = afterCut ? this.nextSegment : this.segment;
+
+        // A fresh muxer needs the decoder config with its first chunk
+        segment.muxer.addVideoChunk(chunk, segment.hasVideo ? meta : this.videoDecoderMeta);
+        segment.hasVideo = true;
+
+        if (afterCut) {
+            this.finishSplit();
+        }
+    }
+
+    /**
+     * Route an encoded audio chunk to the segment it belongs to
+     */
+    addAudioChunk(chunk, meta) {
+        if (meta && meta.decoderConfig) {
+            this.audioDecoderMeta = meta;
+        }
+
+        const afterCut = this.audioSplitTimestamp !== null && chunk.timestamp >= this.audioSplitTimestamp;
+        const segment = afterCut ? this.nextSegment : this.segment;
+
+        segment.muxer.addAudioChunk(chunk, segment.hasAudio ? meta : this.audioDecoderMeta);
+        segment.hasAudio = true;
+
+        if (afterCut) {
+            this.finishSplit();
+        }
+    }
+
+    /**
+     * Collect muxed MP4 bytes
+     * Fragmented output is written sequentially, so chunks can be appended (and persisted) as they arrive.
+     */
+    onMuxerData(segment, data, position) {
+        if (position !== segment.bytes) {
+            console.warn(`Unexpected MP4 write position ${position} (expected ${segment.bytes})`);
+        }
+
+        segment.chunks.push(data);
+        segment.bytes = position + data.byteLength;
+        this.persistChunk(segment, new Blob([data]));
+    }
+
+    /**
+     * Roll over into a new segment file
+     * The next captured frame becomes a keyframe and opens the new muxer;
+     * the current segment is finalized once every track has crossed the cut.
+     */
+    splitSegment() {
+        if (this.nextSegment) return; // Previous split still in flight
+
+        this.segment.duration = this.getSegmentElapsed();
+        this.segment.split = true;
+
+        this.segmentIndex++;
+        this.nextSegment = this.createSegment();
+        this.splitPending = true;
+    }
+
+    /**
+     * Finalize the previous segment once video (and audio) output has moved to the next one
+     */
+    finishSplit() {
+        if (!this.nextSegment.hasVideo || (this.audioEncoder && !this.nextSegment.hasAudio)) return;
+
+        const finished = this.segment;
+        finished.muxer.finalize();
+        this.endSession(finished);
+
+        this.segment = this.nextSegment;
+        this.recordedChunks = this.segment.chunks;
+        this.resetSplitState();
+
+        this.completeSegment(finished);
+    }
+
+    /**
+     * Clear split routing state
+     */
+    resetSplitState() {
+        this.nextSegment = null;
+        this.splitPending = false;
+        this.videoSplitTimestamp = null;
+        this.audioSplitTimestamp = null;
+    }
+
+    /**
+     * Choose slow-motion / timelapse output (takes effect on the next start())
+     * @param {string} mode - 'normal', 'slowmo' or 'timelapse'
+     * @param {Object} options - { captureFps (slowmo), interval (timelapse: keep every Nth frame) }
+     * @returns {boolean} True if the mode is supported by this backend
+     */
+    setSpeedMode(mode, options = {}) {
+        if (this.isRecording) {
+            console.warn('Cannot change speed mode while recording');
+            return false;
+        }
+
+        this.speedMode = mode;
+        this.slowmoCaptureFps = options.captureFps || this.slowmoCaptureFps;
+        this.timelapseInterval = options.interval || this.timelapseInterval;
+        return true;
+    }
+
+    /**
+     * Frame capture rate for the current speed mode
+     * @param {number} fps - Output (playback) frame rate
+     */
+    getCaptureFps(fps) {
+        if (this.speedMode !== 'slowmo') return fps;
+
+        if (this.slowmoCaptureFps <= fps) {
+            console.warn(`Slow motion needs a capture rate above ${fps} FPS - recording at normal speed`);
+            return fps;
+        }
+
+        return this.slowmoCaptureFps;
+    }
+
+    /**
+     * Output time per real second for the take in progress
+     */
+    getSpeedRatio() {
+        return this.speedRatio;
+    }
+
+    /**
+     * WebCodecs encoders can be reconfigured while running (not while retiming frames)
+     */
+    supportsLiveAdaptation() {
+        return this.speedRatio === 1;
+    }
+
+    /**
+     * Change bitrate and capture rate mid-recording
+     * Resolution stays fixed so the MP4 track and decoder config remain valid.
+     * @param {Object} encoding - { fps, bitrate }
+     * @returns {boolean} True if the change was applied
+     */
+    adjustEncoding({ fps, bitrate }) {
+        if (!this.isRecording || this.isStopping || !this.videoEncoder || this.videoEncoder.state !== 'configured') {
+            return false;
+        }
+
+        if (bitrate !== this.encoding.bitrate || fps !== this.encoding.fps) {
+            this.videoConfig = { ...this.videoConfig, bitrate, framerate: fps };
+            this.videoEncoder.configure(this.videoConfig);
+            this.forceKeyFrame = true;
+        }
+
+        if (fps !== this.fps) {
+            this.fps = fps;
+            this.outputFps = fps;
+
+            if (this.frameTimer) {
+                clearInterval(this.frameTimer);
+                this.frameTimer = setInterval(() => this.captureFrame(), 1000 / fps);
+            }
+        }
+
+        this.encoding = { fps, bitrate };
+        console.log(`Encoder adjusted: ${fps} FPS @ ${(bitrate / 1000000).toFixed(1)} Mbps`);
+        return true;
+    }
+
+    /**
+     * Pause recording
+     * Frame capture stops and the paused span is later removed from the timestamps.
+     */
+    pause() {
+        if (!this.isRecording || this.isPaused || this.isStopping) return;
+
+        clearInterval(this.frameTimer);
+        this.frameTimer = null;
+        this.capturePauseStart = performance.now();
+        this.markPaused();
+    }
+
+    /**
+     * Resume a paused recording
+     */
+    resume() {
+        if (!this.isRecording || !this.isPaused || this.isStopping) return;
+
+        this.pausedMicros += (performance.now() - this.capturePauseStart) * 1000;
+        this.forceKeyFrame = true; // Start the new shot on a clean cut
+        this.markResumed();
+        this.frameTimer = setInterval(() => this.captureFrame(), 1000 / this.fps);
+    }
+
+    /**
+     * Stop recording
+     */
+    async stop() {
+        if (!this.isRecording || this.isStopping) {
+            console.warn('Not recording');
+            return;
+        }
+
+        console.log('Stopping recording...');
+        this.recordingDuration = this.getElapsed();
+        this.isStopping = true;
+        clearInterval(this.frameTimer);
+        this.frameTimer = null;
+
+        if (this.audioReader) {
+            this.audioReader.stop();
+            this.audioReader = null;
+        }
+
+        try {
+            // A failed encoder is already closed - finalize with what it produced
+            if (this.videoEncoder.state === 'configured') {
+                await this.videoEncoder.flush();
+            }
+            if (this.audioEncoder && this.audioEncoder.state === 'configured') {
+                await this.audioEncoder.flush();
+            }
+
+            if (this.nextSegment && !this.nextSegment.hasVideo) {
+                // Split requested but never reached its cut - keep everything in the current segment
+                this.endSession(this.nextSegment);
+                this.segment.split = false;
+                this.resetSplitState();
+            } else if (this.nextSegment) {
+                // Audio never crossed the cut - close the split with what arrived
+                this.nextSegment.hasAudio = true;
+                this.finishSplit();
+            }
+
+            this.segment.duration = this.getSegmentElapsed();
+            this.segment.muxer.finalize();
+        } catch (error) {
+            console.error('Failed to finalize recording:', error);
+        }
+
+        const segment = this.segment;
+        this.releaseEncoders();
+
+        console.log(`Recording stopped (${this.frameCount} frames, ${this.droppedFrames} dropped)`);
+        this.isRecording = false;
+        this.isPaused = false;
+        this.isStopping = false;
+        this.endSession(segment);
+
+        if (this.onRecordingStop) {
+            this.onRecordingStop(segment.duration);
+        }
+    }
+
+    /**
+     * Close encoders and release capture resources
+     */
+    releaseEncoders() {
+        clearInterval(this.frameTimer);
+        this.frameTimer = null;
+
+        if (this.audioReader) {
+            this.audioReader.stop();
+            this.audioReader = null;
+        }
+
+        for (const encoder of [this.videoEncoder, this.audioEncoder]) {
+            if (encoder && encoder.state !== 'closed') {
+                encoder.close();
+            }
+        }
+
+        this.videoEncoder = null;
+        this.audioEncoder = null;
+        this.resetSplitState();
+    }
+}
@@ -0,0 +1,185 @@
+// webcodecs-utils.js - Shared WebCodecs Encoding Helpers
+
+/**
+ * Check WebCodecs and the MP4 muxer (loaded from CDN) are available
+ */
+export function isWebCodecsSupported() {
+    return 'VideoEncoder' in window &&
+        'VideoFrame' in window &&
+        'EncodedVideoChunk' in window &&
+        typeof window.Mp4Muxer !== 'undefined';
+}
+
+/**
+ * Find a supported H.264 encoder configuration for the given size
+ * Tries High then Baseline profile at a level large enough for the frame size.
+ * @returns {Promise<VideoEncoderConfig|null>}
+ */
+export async function getVideoEncoderConfig(width, height, bitrate, framerate) {
+    const area = width * height;
+
+    // Level 3.1 up to 720p, 4.0 up to 1080p, 5.1 beyond
+    const level = area <= 921600 ? '1f' : area <= 2228224 ? '28' : '33';
+    const codecs = [`avc1.6400${level}`, `avc1.4d00${level}`, `avc1.4200${level}`];
+
+    for (const codec of codecs) {
+        const config = {
+            codec,
+            width,
+            height,
+            bitrate,
+            framerate,
+            latencyMode: 'realtime',
+            avc: { format: 'avc' }
+        };
+
+        try {
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) {
+                return config;
+            }
+        } catch (error) {
+            console.warn(`Encoder config check failed for ${codec}:`, error);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find a supported audio encoder configuration for MP4
+ * AAC is preferred; Opus-in-MP4 is the fallback where AAC encoding is unavailable (e.g. Linux).
+ * @returns {Promise<{config: AudioEncoderConfig, muxerCodec: string}|null>}
+ */
+export async function getAudioEncoderConfig(sampleRate, numberOfChannels, bitrate = 128000) {
+    if (!('AudioEncoder' in window)) {
+        return null;
+    }
+
+    const candidates = [
+        { codec: 'mp4a.40.2', muxerCodec: 'aac' },
+        { codec: 'opus', muxerCodec: 'opus' }
+    ];
+
+    for (const candidate of candidates) {
+        const config = { codec: candidate.codec, sampleRate, numberOfChannels, bitrate };
+
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported(config);
+            if (supported) {
+                return { config, muxerCodec: candidate.muxerCodec };
+            }
+        } catch (error) {
+            console.warn(`Audio config check failed for ${candidate.codec}:`, error);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read raw AudioData from a microphone track
+ * Uses MediaStreamTrackProcessor where available, otherwise a ScriptProcessorNode.
+ * @param {MediaStreamTrack} track - Audio track
+ * @param {Function} onAudioData - Called with each AudioData (callee must close it)
+ * @returns {{sampleRate: number, numberOfChannels: number, stop: Function}}
+ */
+export function readAudioTrack(track, onAudioData) {
+    const settings = track.getSettings();
+
+    if ('MediaStreamTrackProcessor' in window) {
+        const processor = new MediaStreamTrackProcessor({ track });
+        const reader = processor.readable.getReader();
+        let active = true;
+
+        const pump = async () => {
+            while (active) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                if (active) {
+                    onAudioData(value);
+                } else {
+                    value.close();
+                }
+            }
+        };
+
+        pump().catch(error => console.error('Audio track read failed:', error));
+
+        return {
+            sampleRate: settings.sampleRate || 48000,
+            numberOfChannels: settings.channelCount || 1,
+            stop: () => {
+                active = false;
+                reader.cancel().catch(() => {});
+            }
+        };
+    }
+
+    // Fallback: pull samples through WebAudio
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const audioContext = new AudioContextClass();
+    const source = audioContext.createMediaStreamSource(new MediaStream([track]));
+    const numberOfChannels = Math.min(2, settings.channelCount || 1);
+    const scriptNode = audioContext.createScriptProcessor(4096, numberOfChannels, numberOfChannels);
+    let timestamp = 0;
+
+    scriptNode.onaudioprocess = (event) => {
+        const input = event.inputBuffer;
+        const data = new Float32Array(input.length * numberOfChannels);
+
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            data.set(input.getChannelData(channel), channel * input.length);
+        }
+
+        onAudioData(new AudioData({
+            format: 'f32-planar',
+            sampleRate: input.sampleRate,
+            numberOfFrames: input.length,
+            numberOfChannels,
+            timestamp,
+            data
+        }));
+
+        timestamp += (input.length / input.sampleRate) * 1e6;
+    };
+
+    source.connect(scriptNode);
+    scriptNode.connect(audioContext.destination);
+
+    return {
+        sampleRate: audioContext.sampleRate,
+        numberOfChannels,
+        stop: () => {
+            scriptNode.disconnect();
+            source.disconnect();
+            audioContext.close();
+        }
+    };
+}
+
+/**
+ * Copy an AudioData with a new timestamp
+ * Used to close the gap left in the audio timeline by a paused recording.
+ * The source is left open; the caller still owns it.
+ */
+export function retimeAudioData(audioData, timestamp) {
+    const { format, sampleRate, numberOfFrames, numberOfChannels } = audioData;
+    const planeCount = format.endsWith('-planar') ? numberOfChannels : 1;
+    const planeSizes = [];
+
+    for (let planeIndex = 0; planeIndex < planeCount; planeIndex++) {
+        planeSizes.push(audioData.allocationSize({ planeIndex }));
+    }
+
+    const data = new Uint8Array(planeSizes.reduce((sum, size) => sum + size, 0));
+    let offset = 0;
+
+    planeSizes.forEach((size, planeIndex) => {
+        audioData.copyTo(data.subarray(offset, offset + size), { planeIndex });
+        offset += size;
+    });
+
+    return new AudioData({ format, sampleRate, numberOfFrames, numberOfChannels, timestamp, data });
+}
@@ -1,17 +1,42 @@
-const CACHE_NAME = 'clone-recorder-v1';
+const CACHE_NAME = 'clone-recorder-v16';
+const SHARE_INBOX_CACHE = 'clone-recorder-share-inbox'; // Read by js/share.js
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
     './css/styles.css',
     './js/main.js',
     './js/camera.js',
+    './js/audio-input.js',
+    './js/audio-cues.js',
     './js/clone-manager.js',
     './js/gesture-detector.js',
     './js/recorder.js',
+    './js/webcodecs-utils.js',
+    './js/webcodecs-recorder.js',
+    './js/replay-buffer.js',
+    './js/database.js',
+    './js/video-utils.js',
+    './js/take-library.js',
+    './js/session-store.js',
+    './js/share.js',
+    './js/photo-capture.js',
+    './js/camera-controls-panel.js',
+    './js/take-timeline.js',
+    './js/mp4-metadata.js',
+    './js/library-view.js',
+    './js/video-trimmer.js',
+    './js/trim-editor.js',
+    './js/clip_export/gif-encoder.js',
+    './js/clip_export/webp-encoder.js',
+    './js/clip_export/clip-exporter.js',
+    './js/clip_export/clip-export-view.js',
     './js/performance-manager.js',
+    './js/adaptive-quality.js',
     './js/video_effects/effect-renderer.js',
     './js/video_effects/particle-system.js',
     './js/video_effects/segmentation.js',
+    './js/video_effects/output-compositor.js',
+    './js/video_effects/overlay-layer.js',
     './assets/icons/icon-192.png',
     './assets/icons/icon-512.png'
 ];
@@ -33,7 +58,7 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (cacheName !== CACHE_NAME && cacheName !== SHARE_INBOX_CACHE) {
                         return caches.delete(cacheName);
                     }
                 })
@@ -42,10 +67,37 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+// Share target - stash shared videos for the page to import, then open the app
+async function handleShareTarget(request) {
+    const formData = await request.formData();
+    const files = formData.getAll('media');
+    const cache = await caches.open(SHARE_INBOX_CACHE);
+
+    await Promise.all(files.map((file, index) => {
+        return cache.put(`./shared/${Date.now()}-${index}`, new Response(file, {
+            headers: {
+                'Content-Type': file.type,
+                'X-File-Name': encodeURIComponent(file.name)
+            }
+        }));
+    }));
+
+    return Response.redirect('./index.html?shared=1', 303);
+}
+
 // Fetch event - serve from cache, fall back to network
 self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+        event.respondWith(handleShareTarget(event.request));
+        return;
+    }
+
+    // Page loads may carry a query (e.g. ?shared=1 after a share) - match the cached page without it
+    const ignoreSearch = event.request.mode === 'navigate';
+
     event.respondWith(
-        caches.match(event.request)
+        caches.match(event.request, { ignoreSearch })
             .then((response) => {
                 // Cache hit - return response
                 if (response) {